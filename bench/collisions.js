@@ -0,0 +1,61 @@
+// Tick time for a crowded room with the collision grids, and without them
+// (cell size Infinity: every query returns everything, like the old loops).
+//   node bench/collisions.js [bullets] [monsters] [ticks]
+const Sim = require('../game/simulation');
+const Spatial = require('../game/spatial');
+
+const BULLETS = parseInt(process.argv[2], 10) || 500;
+const MONSTERS = parseInt(process.argv[3], 10) || 100;
+const TICKS = parseInt(process.argv[4], 10) || 200;
+const DT = 1 / 60;
+
+// Four players spread out, monsters that won't die mid-run and bullets flying every which way
+function buildScene() {
+  const room = Sim.createRoomState({ maxPlayers: 4, difficulty: 'Normal', mode: 'endless' }, 12345);
+  for (const id of ['a', 'b', 'c', 'd']) room.players[id] = Sim.createPlayer(room, id, id);
+  Sim.resetRoom(room);
+  room.lastSpawnAt = room.lastPowerAt = room.lastNeutralAt = room.lastBossAt = Infinity;
+  const monsters = [];
+  while (monsters.length < MONSTERS) {
+    const m = Sim.spawnMonster(room, monsters.length % 2 ? 'chaser' : 'orbiter');
+    room.monsters.length = 0; // dodge the room cap
+    m.hp = m.maxHp = 1e9;
+    monsters.push(m);
+  }
+  room.monsters = monsters;
+  for (let i = 0; i < 20; i++) room.neutrals.push({ id: Sim.nextId(room), x: room.rng() * room.world.width, y: room.rng() * room.world.height, r: 12, hp: 1e9, maxHp: 1e9, vx: 0, vy: 0, wanderT: 10 });
+  for (let i = 0; i < 8; i++) Sim.spawnPowerup(room);
+  for (let i = 0; i < BULLETS; i++) {
+    const a = room.rng() * Math.PI * 2;
+    room.bullets.push({ id: Sim.nextId(room), x: room.rng() * room.world.width, y: room.rng() * room.world.height, vx: Math.cos(a) * 620, vy: Math.sin(a) * 620, createdAt: room.time, ownerId: 'a', radius: 4 });
+  }
+  return room;
+}
+
+// Each tick starts from a fresh copy so every one sees the full crowd; the
+// median keeps GC pauses from the copying out of the result
+function measure(scene) {
+  const times = [];
+  for (let i = 0; i < TICKS; i++) {
+    const room = Sim.cloneRoom(scene);
+    const start = process.hrtime.bigint();
+    Sim.step(room, DT);
+    times.push(Number(process.hrtime.bigint() - start) / 1e6);
+  }
+  return times.sort((a, b) => a - b)[TICKS >> 1];
+}
+
+const scene = buildScene();
+console.log(`${BULLETS} bullets, ${MONSTERS} monsters, ${scene.neutrals.length} neutrals, ${scene.powerups.length} powerups; median of ${TICKS} ticks`);
+const runs = [['no grid (brute force)', Infinity], [`grid, ${Spatial.CELL_SIZE} px cells`, Spatial.CELL_SIZE]];
+// Alternate between the two a few times and keep each one's best round,
+// which shrugs off whatever else the machine was busy with
+const results = runs.map(() => Infinity);
+for (let round = 0; round < 5; round++) {
+  runs.forEach(([, size], i) => {
+    Sim.setGridCellSize(size);
+    results[i] = Math.min(results[i], measure(scene));
+  });
+}
+runs.forEach(([label], i) => console.log(`${label.padEnd(24)} ${results[i].toFixed(3)} ms/tick`));
+console.log(`${(results[0] / results[1]).toFixed(1)}x faster`);
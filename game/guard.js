@@ -0,0 +1,140 @@
+// Checks every incoming socket message before a handler sees it: a schema per
+// event, a token bucket per event per socket, and a strike bucket that runs out
+// when a client keeps sending malformed or rate-limited messages. An empty
+// strike bucket gets the socket disconnected with a logged reason.
+// Works on anything with on/emit/disconnect, so tests drive it with fake sockets.
+const { GAME_MODES, MAX_PLAYERS, ABILITY_TYPES, UPGRADE_TYPES, DIFFICULTY_PROFILES } = require('./simulation');
+const { MAPS } = require('./maps');
+
+// Validators: each takes a value and says whether it is acceptable
+const bool = (v) => typeof v === 'boolean';
+const num = (min, max) => (v) => typeof v === 'number' && Number.isFinite(v) && v >= min && v <= max;
+const int = (min, max) => (v) => Number.isInteger(v) && v >= min && v <= max;
+const str = (maxLen) => (v) => typeof v === 'string' && v.length <= maxLen;
+const match = (re) => (v) => typeof v === 'string' && re.test(v);
+const oneOf = (values) => (v) => values.includes(v);
+const bytes = (maxLen) => (v) => (v instanceof ArrayBuffer || ArrayBuffer.isView(v)) && v.byteLength <= maxLen;
+const either = (...checks) => (v) => checks.some((c) => c(v));
+const none = (v) => v === undefined || v === null;
+// Plain objects with known keys only; every key is optional (undefined or null)
+const obj = (fields) => (v) => typeof v === 'object' && v !== null && !Array.isArray(v) && !ArrayBuffer.isView(v)
+  && Object.keys(v).every((k) => Object.hasOwn(fields, k) && (none(v[k]) || fields[k](v[k])));
+
+const proto = oneOf(['json', 'bin']);
+const ROOM_ID = /^[0-9a-f]{8}$/; // see createRoom in server.js
+const SESSION_TOKEN = /^[0-9a-f]{32}$/;
+const MAX_INPUT_BYTES = 64; // a binary input is about 20 bytes
+const MAX_SEQ = 2 ** 32 - 1;
+
+const SCHEMAS = {
+  listRooms: none,
+  createRoom: obj({
+    name: str(64), private: bool, record: bool,
+    settings: obj({ maxPlayers: int(1, MAX_PLAYERS), difficulty: oneOf(Object.keys(DIFFICULTY_PROFILES)), mode: oneOf(GAME_MODES),
+      map: oneOf(Object.keys(MAPS)) }),
+  }),
+  join: obj({ roomId: match(ROOM_ID), code: str(16), spectate: bool, name: str(64), proto }),
+  resume: obj({ token: match(SESSION_TOKEN), proto }),
+  setReady: obj({ ready: bool }),
+  startMatch: none,
+  input: either(bytes(MAX_INPUT_BYTES), obj({
+    seq: int(0, MAX_SEQ), dt: num(0, 1), up: bool, down: bool, left: bool, right: bool, shooting: bool,
+    angle: num(-1e6, 1e6), mx: num(-1, 1), my: num(-1, 1),
+  })),
+  ability: obj({ type: oneOf(Object.keys(ABILITY_TYPES)) }),
+  upgrade: obj({ type: oneOf(Object.keys(UPGRADE_TYPES)) }),
+  ack: int(1, MAX_SEQ),
+  view: obj({ w: num(0, 1e5), h: num(0, 1e5), x: num(-1e6, 1e6), y: num(-1e6, 1e6) }),
+  leave: none,
+  watchReplay: obj({ id: match(/^[\w-]{1,64}$/), proto }),
+  replayControl: obj({ playing: bool, speed: num(0, 16), seek: int(0, 2 ** 31) }),
+};
+
+// Tokens per second and bucket size. Inputs come at 60 Hz plus catch-up after a stall,
+// acks at the 20 Hz state rate, views every 200 ms while spectating.
+const RATES = {
+  listRooms: [2, 5],
+  createRoom: [0.2, 3],
+  join: [1, 5],
+  resume: [1, 5],
+  setReady: [5, 10],
+  startMatch: [1, 3],
+  input: [90, 120],
+  ability: [10, 10],
+  upgrade: [5, 5],
+  ack: [40, 60],
+  view: [10, 10],
+  leave: [2, 5],
+  watchReplay: [1, 5],
+  replayControl: [10, 20],
+};
+const STRIKE_RATE = [0.2, 20]; // a strike heals every 5 s; 20 in a row and the client is out
+// Each of these only updates the latest value, so going over the rate just drops the extra, no strike
+const QUIET_OVER_RATE = new Set(['view', 'ack']);
+
+function createBucket([rate, size], now) { return { rate, size, tokens: size, at: now }; }
+
+// Refill for the time passed, then take one token if there is one
+function take(bucket, now) {
+  bucket.tokens = Math.min(bucket.size, bucket.tokens + ((now - bucket.at) / 1000) * bucket.rate);
+  bucket.at = now;
+  if (bucket.tokens < 1) return false;
+  bucket.tokens -= 1;
+  return true;
+}
+
+/** @returns {{ ok:true } | { ok:false, reason:string }} */
+function validate(event, data) {
+  const check = SCHEMAS[event];
+  if (!check) return { ok: false, reason: `unknown event ${event}` };
+  return check(data) ? { ok: true } : { ok: false, reason: `malformed ${event}` };
+}
+
+/**
+ * Guard one socket. Returns `on(event, handler, reject?)`, used in place of
+ * socket.on: the handler only runs for valid messages within the rate limit.
+ * Otherwise the message is dropped, `reject(reason, ack)` runs when given
+ * (or an ack callback gets `{ error }`), and the client takes a strike;
+ * QUIET_OVER_RATE events over their rate are only dropped.
+ */
+function guardSocket(socket, { log = console.warn, now = Date.now } = {}) {
+  const buckets = {};
+  const strikes = createBucket(STRIKE_RATE, now());
+  let kicked = false;
+
+  function strike(reason) {
+    if (take(strikes, now()) || kicked) return;
+    kicked = true;
+    log(`[guard] disconnecting ${socket.id} (${socket.handshake?.address || 'unknown address'}): ${reason}`);
+    socket.emit('kicked', { reason });
+    socket.disconnect(true);
+  }
+
+  return function on(event, handler, reject) {
+    socket.on(event, (data, ack) => {
+      if (kicked) return;
+      // Callback-style events put the callback first when there is no payload
+      if (typeof data === 'function' && ack === undefined) { ack = data; data = undefined; }
+      const t = now();
+      const bucket = buckets[event] || (buckets[event] = createBucket(RATES[event] || [1, 1], t));
+      const allowed = take(bucket, t);
+      if (!allowed && QUIET_OVER_RATE.has(event)) return;
+      const verdict = allowed ? validate(event, data) : { ok: false, reason: `rate limit on ${event}` };
+      if (verdict.ok) { handler(data, ack); return; }
+      if (reject) reject(verdict.reason, ack);
+      else if (typeof ack === 'function') ack({ error: verdict.reason });
+      strike(verdict.reason);
+    });
+  };
+}
+
+module.exports = {
+  SCHEMAS,
+  RATES,
+  STRIKE_RATE,
+  QUIET_OVER_RATE,
+  createBucket,
+  take,
+  validate,
+  guardSocket,
+};
@@ -0,0 +1,76 @@
+// Finished matches, kept as a board of best scores per difficulty and player
+// count plus running totals per nickname. The server owns loading and saving;
+// everything here works on the plain JSON object.
+const BOARD_VERSION = 1;
+const MAX_SCORES_PER_BUCKET = 50; // the board only ever shows the top of each bucket
+
+/** @typedef {{ name:string, kills:number, survivedMs:number, damageDealt:number, difficulty:string, mode:string, players:number, at:number }} Score */
+
+function createBoard() { return { version: BOARD_VERSION, scores: [], players: {} }; }
+
+// Anything unreadable or from another version starts a fresh board
+function loadBoard(data) {
+  if (!data || data.version !== BOARD_VERSION || !Array.isArray(data.scores) || typeof data.players !== 'object') return createBoard();
+  return data;
+}
+
+// Nicknames compare case-insensitively, so "Ana" and "ana" share one record
+function nameKey(name) { return String(name).trim().toLowerCase(); }
+
+function byScore(a, b) { return b.kills - a.kills || b.survivedMs - a.survivedMs || a.at - b.at; }
+
+/**
+ * Add one finished match.
+ * @param {{ difficulty:string, mode:string, survivedMs:number, at:number, players:{ name:string, kills:number, stats:any }[] }} match
+ */
+function recordMatch(board, match) {
+  const count = match.players.length;
+  for (const p of match.players) {
+    const score = {
+      name: p.name, kills: p.kills, survivedMs: match.survivedMs, damageDealt: p.stats.damageDealt,
+      difficulty: match.difficulty, mode: match.mode, players: count, at: match.at,
+    };
+    board.scores.push(score);
+
+    const key = nameKey(p.name);
+    const t = board.players[key] || (board.players[key] = {
+      name: p.name, matches: 0, kills: 0, killsByType: {}, damageDealt: 0, abilitiesUsed: 0, powerupsCollected: 0,
+      timePlayedMs: 0, bestKills: 0, bestSurvivedMs: 0, lastPlayedAt: 0,
+    });
+    t.name = p.name;
+    t.matches += 1;
+    t.kills += p.kills;
+    for (const [type, n] of Object.entries(p.stats.killsByType)) t.killsByType[type] = (t.killsByType[type] || 0) + n;
+    t.damageDealt += p.stats.damageDealt;
+    t.abilitiesUsed += p.stats.abilitiesUsed;
+    t.powerupsCollected += p.stats.powerupsCollected;
+    t.timePlayedMs += match.survivedMs;
+    t.bestKills = Math.max(t.bestKills, p.kills);
+    t.bestSurvivedMs = Math.max(t.bestSurvivedMs, match.survivedMs);
+    t.lastPlayedAt = match.at;
+  }
+  // Trim the buckets this match touched
+  const inBucket = (s) => s.difficulty === match.difficulty && s.players === count;
+  const keep = new Set(board.scores.filter(inBucket).sort(byScore).slice(0, MAX_SCORES_PER_BUCKET));
+  board.scores = board.scores.filter((s) => !inBucket(s) || keep.has(s));
+}
+
+/** @returns {Score[]} best first; difficulty and players are optional filters */
+function topScores(board, { difficulty, players, limit = 20 } = {}) {
+  return board.scores
+    .filter((s) => (!difficulty || s.difficulty === difficulty) && (!players || s.players === players))
+    .sort(byScore)
+    .slice(0, limit);
+}
+
+function playerTotals(board, name) { return board.players[nameKey(name)] || null; }
+
+module.exports = {
+  BOARD_VERSION,
+  MAX_SCORES_PER_BUCKET,
+  createBoard,
+  loadBoard,
+  recordMatch,
+  topScores,
+  playerTotals,
+};
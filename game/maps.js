@@ -0,0 +1,78 @@
+// Map layouts, one JSON file per map under maps/ (the file name is the map id):
+//   { name, width, height, obstacles: [{ type:'rect', x, y, w, h } | { type:'circle', x, y, r }],
+//     spawns?: { players?, monsters?, powerups?: [{ x, y, w, h }] } }
+// Rect corners are top-left. A kind without spawn zones spawns anywhere free.
+// Maps load once, when this module is first required; a broken file throws
+// right there rather than in the middle of a match.
+const fs = require('fs');
+const path = require('path');
+
+const MAPS_DIR = path.join(__dirname, '..', 'maps');
+const DEFAULT_MAP = 'arena';
+const SPAWN_KINDS = ['players', 'monsters', 'powerups'];
+const MAX_SIZE = 30_000; // positions go out as int16
+
+const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+
+function checkZone(z, map, where) {
+  if (!z || ![z.x, z.y, z.w, z.h].every(isNum) || z.w <= 0 || z.h <= 0) throw new Error(`${where} needs x, y and a positive w and h`);
+  if (z.x < 0 || z.y < 0 || z.x + z.w > map.width || z.y + z.h > map.height) throw new Error(`${where} is outside the map`);
+  return { x: z.x, y: z.y, w: z.w, h: z.h };
+}
+
+function checkObstacle(o, map, where) {
+  if (o?.type === 'circle') {
+    if (![o.x, o.y, o.r].every(isNum) || o.r <= 0) throw new Error(`${where} needs x, y and a positive r`);
+    return { type: 'circle', x: o.x, y: o.y, r: o.r };
+  }
+  if (o?.type === 'rect') return { type: 'rect', ...checkZone(o, map, where) };
+  throw new Error(`${where} has an unknown type ${JSON.stringify(o?.type)}`);
+}
+
+/** Validate one map's JSON; throws with what is wrong */
+function parseMap(data, id) {
+  if (!data || typeof data !== 'object') throw new Error(`map ${id} is not an object`);
+  const { width, height } = data;
+  if (!isNum(width) || !isNum(height) || width < 200 || height < 200 || width > MAX_SIZE || height > MAX_SIZE) {
+    throw new Error(`map ${id} needs a width and height between 200 and ${MAX_SIZE}`);
+  }
+  const map = { id, name: typeof data.name === 'string' && data.name ? data.name : id, width, height };
+  if (!Array.isArray(data.obstacles ?? [])) throw new Error(`map ${id}: obstacles must be a list`);
+  map.obstacles = (data.obstacles ?? []).map((o, i) => checkObstacle(o, map, `map ${id}: obstacle ${i}`));
+  map.spawns = {};
+  for (const kind of SPAWN_KINDS) {
+    const zones = data.spawns?.[kind] ?? [];
+    if (!Array.isArray(zones)) throw new Error(`map ${id}: spawns.${kind} must be a list`);
+    map.spawns[kind] = zones.map((z, i) => checkZone(z, map, `map ${id}: spawns.${kind} ${i}`));
+  }
+  return map;
+}
+
+/** Every map in dir, keyed by id, the default first */
+function loadMaps(dir = MAPS_DIR) {
+  const ids = fs.readdirSync(dir).filter((f) => f.endsWith('.json')).map((f) => path.basename(f, '.json'))
+    .sort((a, b) => (b === DEFAULT_MAP) - (a === DEFAULT_MAP) || a.localeCompare(b));
+  const maps = {};
+  for (const id of ids) {
+    let data;
+    try { data = JSON.parse(fs.readFileSync(path.join(dir, `${id}.json`), 'utf8')); } catch (err) { throw new Error(`map ${id}: ${err.message}`); }
+    maps[id] = parseMap(data, id);
+  }
+  if (!maps[DEFAULT_MAP]) throw new Error(`no ${DEFAULT_MAP}.json in ${dir}`);
+  return maps;
+}
+
+const MAPS = loadMaps();
+
+// What the menu needs to offer a map
+function mapSummaries() { return Object.values(MAPS).map((m) => ({ id: m.id, name: m.name, width: m.width, height: m.height })); }
+
+module.exports = {
+  MAPS_DIR,
+  DEFAULT_MAP,
+  SPAWN_KINDS,
+  MAPS,
+  parseMap,
+  loadMaps,
+  mapSummaries,
+};
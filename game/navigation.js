@@ -0,0 +1,155 @@
+// Paths around obstacles. Each map gets a coarse grid of cells marked free or
+// blocked, and each goal cell a flow field: every cell's walking distance to the
+// goal (Dijkstra over the 8 neighbours, no cutting past blocked corners).
+// Something heading for the goal steps to its neighbour cell nearest the goal.
+// Grids and fields depend only on the map and the goal cell, so they're cached
+// out here, shared by every room on that map, and never part of a room's state.
+const Obstacles = require('../public/shared/obstacles');
+
+const NAV_CELL = 40;
+const NAV_CLEARANCE = 16; // a cell is blocked when something this wide at its centre would touch an obstacle
+const MAX_FIELDS = 64; // flow fields kept per map; the oldest goes first
+// The 8 neighbours of a cell: column and row offsets and the cost of the step
+const STEP_DC = [1, -1, 0, 0, 1, 1, -1, -1];
+const STEP_DR = [0, 0, 1, -1, 1, -1, 1, -1];
+const STEP_COST = [1, 1, 1, 1, Math.SQRT2, Math.SQRT2, Math.SQRT2, Math.SQRT2];
+
+const navs = new WeakMap(); // world.obstacles -> nav grid
+
+function createNavGrid(world) {
+  const cols = Math.ceil(world.width / NAV_CELL), rows = Math.ceil(world.height / NAV_CELL);
+  const blocked = new Uint8Array(cols * rows);
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) {
+      const x = Math.min(world.width, (c + 0.5) * NAV_CELL), y = Math.min(world.height, (r + 0.5) * NAV_CELL);
+      blocked[r * cols + c] = Obstacles.overlaps(x, y, NAV_CLEARANCE, world.obstacles) ? 1 : 0;
+    }
+  }
+  return { cols, rows, blocked, fields: new Map(), heap: createHeap(cols * rows) };
+}
+
+function navFor(world) {
+  let nav = navs.get(world.obstacles);
+  if (!nav) { nav = createNavGrid(world); navs.set(world.obstacles, nav); }
+  return nav;
+}
+
+function cellAt(nav, x, y) {
+  const c = Math.min(nav.cols - 1, Math.max(0, Math.floor(x / NAV_CELL)));
+  const r = Math.min(nav.rows - 1, Math.max(0, Math.floor(y / NAV_CELL)));
+  return r * nav.cols + c;
+}
+
+// Can a step go from the cell at column c, row r by (dc, dr)? Diagonals need both sides free, so paths don't clip corners.
+function canStep(nav, c, r, dc, dr) {
+  const { cols, blocked } = nav;
+  const c2 = c + dc, r2 = r + dr;
+  if (c2 < 0 || r2 < 0 || c2 >= cols || r2 >= nav.rows || blocked[r2 * cols + c2]) return false;
+  return !(dc && dr) || (!blocked[r * cols + c2] && !blocked[r2 * cols + c]);
+}
+
+// Distances to the goal cell; the goal itself may be blocked (a player hugging a wall)
+function buildField(nav, goal) {
+  const { cols, rows, heap } = nav;
+  const dist = new Float64Array(cols * rows).fill(Infinity);
+  dist[goal] = 0;
+  heap.size = 0;
+  heapPush(heap, goal, 0);
+  while (heap.size) {
+    const d = heap.prio[0], i = heapPop(heap);
+    if (d > dist[i]) continue;
+    const r = (i / cols) | 0, c = i - r * cols;
+    for (let k = 0; k < 8; k++) {
+      const dc = STEP_DC[k], dr = STEP_DR[k];
+      if (!canStep(nav, c, r, dc, dr)) continue;
+      const j = i + dr * cols + dc;
+      const dj = d + STEP_COST[k];
+      if (dj < dist[j]) { dist[j] = dj; heapPush(heap, j, dj); }
+    }
+  }
+  return dist;
+}
+
+function fieldFor(nav, goal) {
+  let field = nav.fields.get(goal);
+  if (field) { nav.fields.delete(goal); nav.fields.set(goal, field); return field; } // most recently used goes last
+  field = buildField(nav, goal);
+  nav.fields.set(goal, field);
+  if (nav.fields.size > MAX_FIELDS) nav.fields.delete(nav.fields.keys().next().value);
+  return field;
+}
+
+/**
+ * Where to head next on the way from (x, y) to (tx, ty) around the world's
+ * obstacles: the centre of the cell `steps` cells down the path, or null when
+ * there is no way.
+ */
+function nextStep(world, x, y, tx, ty, steps = 1) {
+  const nav = navFor(world);
+  const field = fieldFor(nav, cellAt(nav, tx, ty));
+  let cell = cellAt(nav, x, y);
+  for (let s = 0; s < steps; s++) {
+    const next = downhill(nav, field, cell);
+    if (next === -1) break;
+    cell = next;
+  }
+  if (cell === cellAt(nav, x, y)) return null;
+  return { x: ((cell % nav.cols) + 0.5) * NAV_CELL, y: (((cell / nav.cols) | 0) + 0.5) * NAV_CELL };
+}
+
+// The neighbour of cell `from` nearest the field's goal, or -1 when none is nearer than `from` itself
+function downhill(nav, field, from) {
+  const r = (from / nav.cols) | 0, c = from - r * nav.cols;
+  let best = -1;
+  let bestDist = field[from];
+  for (let k = 0; k < 8; k++) {
+    const c2 = c + STEP_DC[k], r2 = r + STEP_DR[k];
+    if (c2 < 0 || r2 < 0 || c2 >= nav.cols || r2 >= nav.rows) continue;
+    // Stepping out of a blocked cell (pushed against a wall) is always allowed
+    if (!nav.blocked[from] && !canStep(nav, c, r, STEP_DC[k], STEP_DR[k])) continue;
+    const j = r2 * nav.cols + c2;
+    if (field[j] < bestDist) { bestDist = field[j]; best = j; }
+  }
+  return best;
+}
+
+// Binary min-heap of cells by priority, in typed arrays reused for every field;
+// a cell goes in at most once per neighbour, so 8 slots per cell always do
+function createHeap(cells) { return { size: 0, cells: new Int32Array(cells * 8), prio: new Float64Array(cells * 8) }; }
+
+function heapPush(heap, cell, prio) {
+  const { cells, prio: p } = heap;
+  let i = heap.size++;
+  while (i > 0) {
+    const parent = (i - 1) >> 1;
+    if (p[parent] <= prio) break;
+    cells[i] = cells[parent]; p[i] = p[parent];
+    i = parent;
+  }
+  cells[i] = cell; p[i] = prio;
+}
+
+function heapPop(heap) {
+  const { cells, prio: p } = heap;
+  const top = cells[0];
+  const n = --heap.size;
+  const cell = cells[n], prio = p[n];
+  let i = 0;
+  for (;;) {
+    let c = 2 * i + 1;
+    if (c >= n) break;
+    if (c + 1 < n && p[c + 1] < p[c]) c++;
+    if (p[c] >= prio) break;
+    cells[i] = cells[c]; p[i] = p[c];
+    i = c;
+  }
+  cells[i] = cell; p[i] = prio;
+  return top;
+}
+
+module.exports = {
+  NAV_CELL,
+  NAV_CLEARANCE,
+  createNavGrid,
+  nextStep,
+};
@@ -0,0 +1,151 @@
+// Match recording and playback. A recording is the room's seed and settings,
+// the roster at kick-off and every player command stamped with the tick it
+// was applied on; playback re-runs the simulation from that. Snapshots taken
+// every KEYFRAME_TICKS are stored alongside: playback compares against them
+// and, if the re-simulation ever drifts, shows the keyframes instead.
+const Sim = require('./simulation');
+
+const REPLAY_VERSION = 1;
+const KEYFRAME_TICKS = 60;
+const CHECKPOINT_TICKS = 600; // playback keeps a copy of the room this often to make seeking cheap
+
+/** @typedef {{ t:number, k:string, id:string, d?:any }} Command */
+
+function createRecording(room, meta = {}) {
+  const rec = {
+    version: REPLAY_VERSION,
+    id: meta.id,
+    name: meta.name || '',
+    createdAt: meta.createdAt || 0,
+    dt: meta.dt,
+    keyframeTicks: KEYFRAME_TICKS,
+    seed: room.seed,
+    settings: { ...room.settings },
+    world: { ...room.world },
+    start: { tick: room.tick, time: room.time, nextId: room.nextId },
+    players: Object.values(room.players).map((p) => ({ id: p.id, name: p.name, color: p.color, offline: p.offline })),
+    /** @type {Command[]} */
+    commands: [],
+    keyframes: [{ t: 0, snap: Sim.snapshot(room) }],
+    endTick: null,
+  };
+  return rec;
+}
+
+function recordCommand(rec, room, cmd) { rec.commands.push({ t: room.tick - rec.start.tick, ...cmd }); }
+
+// Call after every step of the recorded room
+function recordTick(rec, room) {
+  const t = room.tick - rec.start.tick;
+  if (t % rec.keyframeTicks === 0) rec.keyframes.push({ t, snap: Sim.snapshot(room) });
+}
+
+function finishRecording(rec, room) { rec.endTick = room.tick - rec.start.tick; return rec; }
+
+// Listing info, without the bulky command and keyframe data
+function summarize(rec) {
+  return {
+    id: rec.id, name: rec.name, createdAt: rec.createdAt, settings: rec.settings,
+    players: rec.players.map((p) => p.name), durationMs: Math.round(rec.endTick * rec.dt * 1000),
+  };
+}
+
+// The room exactly as it was when the recording started
+function buildStartRoom(rec) {
+  const room = Sim.createRoomState(rec.settings, rec.seed);
+  room.world = { ...room.world, ...rec.world }; // recordings from before maps only have the size
+  room.time = rec.start.time;
+  room.nextId = rec.start.nextId;
+  for (const p of rec.players) {
+    const pl = room.players[p.id] = Sim.createPlayer(room, p.id, p.name);
+    pl.color = p.color;
+    pl.offline = p.offline;
+  }
+  Sim.resetRoom(room, rec.seed);
+  return room;
+}
+
+function createPlayback(rec) {
+  if (rec.version !== REPLAY_VERSION) throw new Error(`Unsupported replay version ${rec.version}`);
+  const pb = { rec, room: null, tick: 0, cmdIdx: 0, mode: 'resim', driftAt: Infinity, checkpoints: [] };
+  restart(pb, null);
+  return pb;
+}
+
+function restart(pb, cp) {
+  pb.room = cp ? Sim.cloneRoom(cp.room) : buildStartRoom(pb.rec);
+  pb.tick = cp ? cp.tick : 0;
+  pb.cmdIdx = cp ? cp.cmdIdx : 0;
+  pb.mode = pb.tick < pb.driftAt ? 'resim' : 'keyframes';
+}
+
+function stepOnce(pb) {
+  const { rec, room } = pb;
+  if (pb.mode === 'keyframes') { pb.tick += 1; return; }
+  while (pb.cmdIdx < rec.commands.length && rec.commands[pb.cmdIdx].t <= pb.tick) Sim.applyCommand(room, rec.commands[pb.cmdIdx++]);
+  Sim.step(room, rec.dt);
+  pb.tick += 1;
+
+  if (pb.tick % rec.keyframeTicks === 0) {
+    const kf = rec.keyframes[pb.tick / rec.keyframeTicks];
+    if (kf && JSON.stringify(Sim.snapshot(room)) !== JSON.stringify(kf.snap)) {
+      pb.driftAt = pb.tick;
+      pb.mode = 'keyframes';
+      return;
+    }
+  }
+  if (pb.tick % CHECKPOINT_TICKS === 0 && !pb.checkpoints.some((c) => c.tick === pb.tick)) {
+    pb.checkpoints.push({ tick: pb.tick, cmdIdx: pb.cmdIdx, room: Sim.cloneRoom(room) });
+  }
+}
+
+/**
+ * Run up to `ticks` steps, stopping at the end of the recording.
+ * @returns {{type:string, data:any}[]} events raised along the way
+ */
+function advance(pb, ticks) {
+  const events = [];
+  for (let i = 0; i < ticks && pb.tick < pb.rec.endTick; i++) {
+    stepOnce(pb);
+    events.push(...pb.room.events.splice(0));
+  }
+  return events;
+}
+
+function seek(pb, target) {
+  target = Math.max(0, Math.min(pb.rec.endTick, Math.floor(target)));
+  if (target < pb.tick) {
+    const cp = pb.checkpoints.filter((c) => c.tick <= target).pop() || null;
+    restart(pb, cp);
+  }
+  while (pb.tick < target) stepOnce(pb);
+  pb.room.events.length = 0;
+}
+
+function ended(pb) { return pb.tick >= pb.rec.endTick; }
+
+// What to show at the current tick
+function frame(pb) {
+  if (pb.mode === 'resim') return Sim.snapshot(pb.room);
+  const i = Math.min(pb.rec.keyframes.length - 1, Math.floor(pb.tick / pb.rec.keyframeTicks));
+  return pb.rec.keyframes[i].snap;
+}
+
+// Simulated time at the playback position
+function timeAt(pb) { return pb.rec.start.time + pb.tick * pb.rec.dt * 1000; }
+
+module.exports = {
+  REPLAY_VERSION,
+  KEYFRAME_TICKS,
+  createRecording,
+  recordCommand,
+  recordTick,
+  finishRecording,
+  summarize,
+  createPlayback,
+  advance,
+  seek,
+  ended,
+  frame,
+  timeAt,
+};
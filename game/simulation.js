@@ -0,0 +1,1407 @@
+// Game simulation: rooms, players, monsters and the per-tick update.
+// Pure state in, state out: time only advances through step(), randomness comes
+// from the room's seeded PRNG and events are queued on room.events for the
+// caller to deliver. Nothing here knows about sockets or the wall clock.
+const { stepMovement } = require('../public/shared/movement');
+const Obstacles = require('../public/shared/obstacles');
+const Spatial = require('./spatial');
+const Navigation = require('./navigation');
+const { MAPS, DEFAULT_MAP } = require('./maps');
+
+const WORLD = { width: MAPS[DEFAULT_MAP].width, height: MAPS[DEFAULT_MAP].height };
+const PLAYER_RADIUS = 16;
+const MAX_MOVE_BUDGET_S = 0.25; // caps how far queued inputs can run ahead of server time
+const MAX_QUEUED_INPUTS = 120; // a flooding client loses its oldest inputs, not the server its memory
+
+const BULLET_SPEED = 620;
+const BULLET_RADIUS = 4;
+const BULLET_LIFETIME_MS = 1200;
+const ENEMY_BULLET_SPEED = 430;
+const ENEMY_BULLET_RADIUS = 5;
+const ENEMY_BULLET_LIFETIME_MS = 2200;
+const BOMB_RADIUS = 8; // the grenade itself, for bouncing off walls; its blast radius is in ABILITY_TYPES
+const SNIPER_RANGE = 720; // only takes aim inside this distance
+const SNIPER_AIM_MS = 700; // telegraph before the shot
+const SNIPER_RELOAD_MS = 2600;
+const GAME_MODES = ['endless', 'waves'];
+const MAX_PLAYERS = 4;
+
+const WAVE_FIRST_DELAY_MS = 3000;
+const WAVE_BREAK_MS = 10_000;
+const WAVE_BREAK_POWERUP_MS = 1500; // powerup drip while resting between waves
+const WAVE_SPAWN_INTERVAL_MS = 700;
+const WAVE_BOSS_EVERY = 5;
+const PLAYER_MAX_HP = 100;
+const PLAYER_HIT_IFRAMES_MS = 700; // grace window after taking a hit
+const REVIVE_RADIUS = 48; // extra reach beyond both radii
+const REVIVE_TIME_MS = 2500;
+const REVIVE_HP_FRACTION = 0.5;
+
+// Enemy base
+// damage is dealt to a player on contact; xp is what the orb it drops is worth
+const ENEMY_TYPES = {
+  chaser: { radius: 16, baseHp: 3, baseSpeed: 120, damage: 14, xp: 1 },
+  dasher: { radius: 18, baseHp: 4, baseSpeed: 90, damage: 22, xp: 2 },
+  orbiter: { radius: 14, baseHp: 3, baseSpeed: 130, damage: 10, xp: 2 },
+  splitter: { radius: 16, baseHp: 2, baseSpeed: 100, damage: 12, xp: 1 },
+  sniper: { radius: 15, baseHp: 2, baseSpeed: 110, damage: 8, shotDamage: 18, xp: 2 },
+  mini: { radius: 10, baseHp: 1, baseSpeed: 170, damage: 6, xp: 1 }, // from splitter
+};
+const BOSS_XP = 25;
+
+// Bosses are data: each phase is active while hp/maxHp is above hpAbove and
+// lists attacks by kind (see BOSS_ATTACKS) with their own cadence in ms.
+// name/color/shape are sent to clients in `init` for drawing.
+const BOSS_TYPES = {
+  warden: {
+    name: 'The Warden', color: '#c0392b', shape: 'hex',
+    radius: 46, baseHp: 90, baseSpeed: 70, damage: 30,
+    phases: [
+      { hpAbove: 0.6, speed: 1, attacks: [{ kind: 'ring', every: 2800, count: 14, speed: 240, damage: 14 }] },
+      { hpAbove: 0.25, speed: 1.2, attacks: [
+        { kind: 'ring', every: 2400, count: 20, speed: 260, damage: 14 },
+        { kind: 'charge', every: 5200, windupMs: 800, durationMs: 650, speed: 4 },
+      ] },
+      { hpAbove: 0, speed: 1.45, attacks: [
+        { kind: 'ring', every: 1600, count: 24, speed: 280, damage: 16 },
+        { kind: 'charge', every: 3600, windupMs: 600, durationMs: 700, speed: 4.5 },
+        { kind: 'summon', every: 8000, type: 'mini', count: 4 },
+      ] },
+    ],
+  },
+  broodmother: {
+    name: 'Broodmother', color: '#4cd3c2', shape: 'tri',
+    radius: 52, baseHp: 110, baseSpeed: 55, damage: 25,
+    phases: [
+      { hpAbove: 0.5, speed: 1, attacks: [
+        { kind: 'summon', every: 4500, type: 'splitter', count: 2 },
+        { kind: 'ring', every: 4000, count: 10, speed: 200, damage: 12 },
+      ] },
+      { hpAbove: 0, speed: 1.3, attacks: [
+        { kind: 'summon', every: 3500, type: 'mini', count: 5 },
+        { kind: 'ring', every: 2600, count: 16, speed: 230, damage: 12 },
+        { kind: 'charge', every: 6000, windupMs: 900, durationMs: 600, speed: 3.6 },
+      ] },
+    ],
+  },
+};
+// Abilities and powerups are data as well, sent to clients in `init` so the
+// HUD builds itself from them. An ability's `kind` picks the code that runs it
+// (ABILITY_KINDS) and the rest are that code's numbers. A powerup's `effect`
+// is one of:
+//   buff    adds `amount` to a stat, capped at `max`; each pickup wears off on its own after durationMs
+//   heal    restores `amount` hp
+//   shield  blocks damage for durationMs; `stack` 'refresh' restarts the timer, 'extend' adds to it
+const ABILITY_TYPES = {
+  burst: { kind: 'burst', label: 'Burst', color: '#ffd166', cooldownMs: 3000, count: 9, spread: Math.PI / 2.4, speed: BULLET_SPEED * 0.9, damage: 1 },
+  dash: { kind: 'dash', label: 'Dash', color: '#6cd4ff', cooldownMs: 6000, distance: 60, durationMs: 240, iFramesMs: 360 },
+  grenade: { kind: 'grenade', label: 'Grenade', color: '#a29bfe', cooldownMs: 5000, speed: 260, fuseMs: 900, radius: 120, damage: 3 },
+  beam: { kind: 'beam', label: 'Beam', color: '#b5f5ff', cooldownMs: 8000, range: 800, width: 18, damage: 2 },
+};
+const POWERUP_TYPES = {
+  speed: { label: 'Speed', color: '#6cd4ff', effect: 'buff', stat: 'speed', amount: 0.3, max: 1.8, durationMs: 10_000 },
+  firerate: { label: 'Fire rate', color: '#ffd166', effect: 'buff', stat: 'firerate', amount: 0.4, max: 2, durationMs: 10_000 },
+  multishot: { label: 'Multishot', color: '#a29bfe', effect: 'buff', stat: 'multishot', amount: 1, max: 5, durationMs: 12_000 },
+  heal: { label: 'Heal', color: '#7bed9f', effect: 'heal', amount: 35 },
+  shield: { label: 'Shield', color: '#74b9ff', effect: 'shield', durationMs: 6000, stack: 'refresh' },
+};
+// Upgrades are offered three at a time on each level-up and last for the rest
+// of the run. Each level taken adds `amount` to what the upgrade changes (see
+// upgraded()), up to maxLevel levels; `text` is the card's one-line description.
+const UPGRADE_TYPES = {
+  damage: { label: 'Heavy rounds', text: '+1 bullet damage', color: '#ff8f40', amount: 1, maxLevel: 3 },
+  pierce: { label: 'Piercing', text: 'Bullets pass through one more enemy', color: '#ffd166', amount: 1, maxLevel: 3 },
+  bounce: { label: 'Ricochet', text: 'Bullets bounce off one more wall', color: '#6cd4ff', amount: 1, maxLevel: 3 },
+  cooldown: { label: 'Quick hands', text: '15% shorter ability cooldowns', color: '#b5f5ff', amount: 0.15, maxLevel: 3 },
+  blast: { label: 'Big bang', text: '25% larger grenade blast', color: '#a29bfe', amount: 0.25, maxLevel: 4 },
+};
+const UPGRADE_CHOICES = 3;
+const XP_FIRST_LEVEL = 5; // xp from level 1 to 2; every later level needs XP_PER_LEVEL more
+const XP_PER_LEVEL = 4;
+const ORB_LIFETIME_MS = 30_000;
+const ORB_CAP = 150; // on the ground at once; the oldest goes first
+const ORB_MAGNET_RADIUS = 110; // orbs this close to a player fly to them
+const ORB_PULL_SPEED = 420;
+const POWERUP_CAP = 8; // on the ground at once
+const POWERUP_LIFETIME_MS = 45_000;
+const BOSS_ENDLESS_INTERVAL_MS = 180_000; // endless mode gets a boss every few minutes
+
+// Difficulty profiles. Multipliers stack on top of scaleForPlayers().factor;
+// enemyMix holds spawn weights, powerupDrop is the chance a kill drops a powerup.
+const DIFFICULTY_PROFILES = {
+  Easy: {
+    spawnInterval: 1.4, monsterCap: 0.7, hp: 0.75, speed: 0.85, powerupDrop: 0.18,
+    enemyMix: { chaser: 4, dasher: 1, orbiter: 2, splitter: 2, sniper: 0 },
+  },
+  Normal: {
+    spawnInterval: 1, monsterCap: 1, hp: 1, speed: 1, powerupDrop: 0.1,
+    enemyMix: { chaser: 3, dasher: 2, orbiter: 2, splitter: 2, sniper: 1 },
+  },
+  Hard: {
+    spawnInterval: 0.75, monsterCap: 1.3, hp: 1.35, speed: 1.12, powerupDrop: 0.07,
+    enemyMix: { chaser: 2, dasher: 3, orbiter: 2, splitter: 2, sniper: 2 },
+  },
+  Insane: {
+    spawnInterval: 0.5, monsterCap: 1.7, hp: 1.8, speed: 1.25, powerupDrop: 0.05,
+    enemyMix: { chaser: 2, dasher: 3, orbiter: 3, splitter: 3, sniper: 3 },
+  },
+};
+
+// Utilities
+function clamp(value, min, max) { return Math.max(min, Math.min(max, value)); }
+function dist(x1, y1, x2, y2) { return Math.hypot(x2 - x1, y2 - y1); }
+function length(x, y) { return Math.hypot(x, y); }
+function normalize(x, y) { const l = length(x, y); return l === 0 ? { x: 0, y: 0 } : { x: x / l, y: y / l }; }
+function lerp(a, b, t) { return a + (b - a) * t; }
+// A random spot where something of radius r fits, inside one of the map's spawn
+// zones for `kind` or anywhere when the map has none for it. A few tries, then
+// the last one is pushed clear.
+function spawnPoint(room, kind, r) {
+  const { width, height, obstacles, spawns } = room.world;
+  const zones = spawns[kind] || [];
+  let pos;
+  for (let tries = 0; tries < 8; tries++) {
+    const z = zones.length === 0 ? { x: 0, y: 0, w: width, h: height } : zones.length === 1 ? zones[0] : pickZone(room.rng, zones);
+    pos = { x: z.x + room.rng() * z.w, y: z.y + room.rng() * z.h };
+    if (!Obstacles.overlaps(pos.x, pos.y, r, obstacles)) return pos;
+  }
+  Obstacles.pushOut(pos, r, obstacles);
+  return pos;
+}
+// Bigger zones get proportionally more spawns
+function pickZone(rng, zones) {
+  let roll = rng() * zones.reduce((sum, z) => sum + z.w * z.h, 0);
+  for (const z of zones) { roll -= z.w * z.h; if (roll < 0) return z; }
+  return zones[zones.length - 1];
+}
+function circleCollide(x1, y1, r1, x2, y2, r2) { const dx = x1 - x2; const dy = y1 - y2; const rr = r1 + r2; return dx * dx + dy * dy <= rr * rr; }
+function choice(rng, arr) { return arr[(rng() * arr.length) | 0]; }
+function weightedChoice(rng, weights) {
+  let total = 0;
+  for (const k in weights) total += weights[k];
+  let r = rng() * total;
+  for (const k in weights) { r -= weights[k]; if (r < 0) return k; }
+  return Object.keys(weights)[0];
+}
+
+// mulberry32: tiny, fast and good enough for gameplay; same seed, same run.
+// The state is kept on the function so cloneRoom() can carry it over.
+function createRng(seed) {
+  const rng = () => {
+    rng.state = (rng.state + 0x6D2B79F5) >>> 0;
+    let t = rng.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  rng.state = seed >>> 0;
+  return rng;
+}
+
+// Rooms
+/** @typedef {{ number:number, phase:'break'|'active', boss:boolean, budget:number, spawned:number, nextSpawnAt:number, breakUntil:number, lastPowerAt:number }} WaveState */
+
+/**
+ * Simulation state for a room; callers add their own fields (id, lobby data...).
+ * room.time is simulated ms and is the only clock the simulation reads.
+ */
+function createRoomState(settings = {}, seed = 1) {
+  const map = Object.hasOwn(MAPS, settings.map) ? settings.map : DEFAULT_MAP;
+  return {
+    settings: {
+      maxPlayers: clamp(Math.floor(settings.maxPlayers) || 1, 1, MAX_PLAYERS),
+      difficulty: DIFFICULTY_PROFILES[settings.difficulty] ? settings.difficulty : 'Normal',
+      mode: GAME_MODES.includes(settings.mode) ? settings.mode : 'endless',
+      map,
+    },
+    seed,
+    rng: createRng(seed),
+    time: 0,
+    tick: 0,
+    nextId: 1,
+    players: {},
+    bullets: [],
+    enemyBullets: [],
+    monsters: [],
+    neutrals: [],
+    powerups: [],
+    orbs: [], // xp orbs dropped by kills
+    bombs: [],
+    effects: [],
+    events: [],
+    lastSpawnAt: 0,
+    lastPowerAt: 0,
+    lastNeutralAt: 0,
+    lastBossAt: 0,
+    startedAt: 0,
+    gameOverAt: 0,
+    wave: null,
+    aiCursor: 0, // where the next tick's monster thinking starts
+    world: createWorld(MAPS[map]),
+  };
+}
+
+// The part of a map the simulation plays on; maps are read only, so the lists are shared
+function createWorld(map) { return { width: map.width, height: map.height, obstacles: map.obstacles, spawns: map.spawns }; }
+
+function createPlayer(room, id, name) {
+  const spawn = spawnPoint(room, 'players', PLAYER_RADIUS);
+  return {
+    id,
+    name,
+    offline: false,
+    x: spawn.x,
+    y: spawn.y,
+    dirX: 1,
+    dirY: 0,
+    up: false,
+    down: false,
+    left: false,
+    right: false,
+    shooting: false,
+    lastShotAt: 0,
+    color: colorFor(name),
+    kills: 0,
+    stats: createStats(),
+    hp: PLAYER_MAX_HP,
+    maxHp: PLAYER_MAX_HP,
+    downed: false,
+    reviveProgress: 0,
+    radius: PLAYER_RADIUS,
+    buffs: freshBuffs(),
+    timedBuffs: [], // { stat, amount, until }: undone by expireBuffs()
+    level: 1,
+    xp: 0, // towards the next level
+    levelUps: 0, // upgrades earned and not picked yet
+    offer: [], // the upgrade types on offer for the first of those
+    upgrades: freshUpgrades(),
+    upgradeQueue: [],
+    abilityCd: freshCooldowns(),
+    dashingUntil: 0,
+    iFramesUntil: 0,
+    inputQueue: [],
+    abilityQueue: [],
+    lastInputSeq: 0,
+    moveBudget: 0,
+  };
+}
+
+// Every buffed stat starts at 1 and every ability ready
+function freshBuffs() {
+  const buffs = { shieldUntil: 0 };
+  for (const u of Object.values(POWERUP_TYPES)) if (u.effect === 'buff') buffs[u.stat] = 1;
+  return buffs;
+}
+
+function freshUpgrades() { return Object.fromEntries(Object.keys(UPGRADE_TYPES).map((k) => [k, 0])); }
+
+function freshCooldowns() { return Object.fromEntries(Object.keys(ABILITY_TYPES).map((k) => [k, 0])); }
+
+// Nicknames are the player's identity, so the color follows the name
+function colorFor(name) {
+  let h = 0;
+  for (const ch of String(name)) h = (h * 31 + ch.codePointAt(0)) >>> 0;
+  return `hsl(${h % 360}, 70%, 55%)`;
+}
+
+// Per-match numbers for the end screen and the leaderboard
+function createStats() { return { killsByType: {}, damageDealt: 0, abilitiesUsed: 0, powerupsCollected: 0 }; }
+
+function creditDamage(p, m, amount) { if (p) p.stats.damageDealt += Math.min(amount, Math.max(0, m.hp)); }
+
+function creditKill(p, m) {
+  if (!p) return;
+  const type = m.type === 'boss' ? m.bossType : m.type;
+  p.kills += 1;
+  p.stats.killsByType[type] = (p.stats.killsByType[type] || 0) + 1;
+}
+
+/** @typedef {{ id:string, name:string, code:string|null, phase:'lobby'|'playing', hostId:string|null, nextId:number, settings:{ maxPlayers:number, difficulty:string, mode:string }, players:Record<string,any>, bullets:any[], enemyBullets:any[], monsters:any[], neutrals:any[], powerups:any[], orbs:any[], bombs:any[], effects:any[], events:{type:string, data:any}[], lastSpawnAt:number, lastPowerAt:number, lastNeutralAt:number, lastBossAt:number, startedAt:number, gameOverAt:number, wave:WaveState|null, aiCursor:number, world:any }} Room */
+
+// Start a fresh run in an existing room, keeping everyone connected.
+// Reseeding here makes each run reproducible from (seed, settings, inputs).
+function resetRoom(room, seed = room.seed) {
+  const now = room.time;
+  room.seed = seed;
+  room.rng = createRng(seed);
+  room.bullets = []; room.enemyBullets = []; room.monsters = []; room.neutrals = []; room.powerups = []; room.orbs = []; room.bombs = []; room.effects = [];
+  room.lastSpawnAt = 0; room.lastPowerAt = 0; room.lastNeutralAt = 0; room.lastBossAt = now;
+  room.aiCursor = 0;
+  room.startedAt = now;
+  room.gameOverAt = 0;
+  room.wave = room.settings.mode === 'waves' ? createWaveState(now) : null;
+  for (const id in room.players) {
+    const p = room.players[id];
+    const pos = spawnPoint(room, 'players', p.radius);
+    p.x = pos.x; p.y = pos.y;
+    p.kills = 0; p.stats = createStats(); p.hp = p.maxHp; p.downed = false; p.reviveProgress = 0;
+    p.abilityCd = freshCooldowns();
+    p.buffs = freshBuffs();
+    p.timedBuffs = [];
+    p.level = 1; p.xp = 0; p.levelUps = 0; p.offer = []; p.upgrades = freshUpgrades();
+    p.inputQueue.length = 0; p.abilityQueue.length = 0; p.upgradeQueue.length = 0;
+    p.up = p.down = p.left = p.right = p.shooting = false;
+    p.dirX = 1; p.dirY = 0;
+    p.lastShotAt = 0; p.dashingUntil = 0; p.moveBudget = 0;
+    p.iFramesUntil = now + 1000;
+  }
+}
+
+// Deep copy of a room's simulation state, e.g. for replay checkpoints
+function cloneRoom(room) {
+  const { rng, ...rest } = room;
+  const copy = structuredClone(rest);
+  copy.rng = createRng(0);
+  copy.rng.state = rng.state;
+  return copy;
+}
+
+// Everything players do goes through here, so a recorded list of commands
+// replays a match exactly. Returns the player the command applied to.
+function applyCommand(room, cmd) {
+  const p = room.players[cmd.id];
+  switch (cmd.k) {
+    case 'join': {
+      // The id comes from the room's counter here rather than from the caller,
+      // so a replay takes the same one at the same point
+      const id = `p${nextId(room)}`;
+      return (room.players[id] = createPlayer(room, id, cmd.d.name));
+    }
+    case 'leave': delete room.players[cmd.id]; return null;
+    case 'input':
+      if (!p) break;
+      if (p.inputQueue.length >= MAX_QUEUED_INPUTS) p.inputQueue.shift();
+      p.inputQueue.push(cmd.d);
+      break;
+    case 'ability': if (p) p.abilityQueue.push(cmd.d); break;
+    case 'upgrade': if (p) p.upgradeQueue.push(cmd.d); break;
+    case 'offline':
+      if (!p) break;
+      p.offline = true;
+      p.up = p.down = p.left = p.right = p.shooting = false;
+      p.inputQueue.length = 0;
+      break;
+    case 'online': if (p) { p.offline = false; p.inputQueue.length = 0; } break;
+  }
+  return room.players[cmd.id] || null;
+}
+
+// Entity ids are small per-room integers so they stay compact on the wire
+function nextId(room) { return room.nextId++; }
+
+// Queue a one-off event; the caller delivers room.events after each step
+function pushEvent(room, type, data) { room.events.push({ type, data }); }
+
+function countPlayers(room) { return Object.keys(room.players).length; }
+
+// Connected and able to act; offline players are frozen until they resume or time out
+function isActive(p) { return !p.offline && !p.downed; }
+
+function difficultyOf(room) { return DIFFICULTY_PROFILES[room.settings.difficulty] || DIFFICULTY_PROFILES.Normal; }
+
+function scaleForPlayers(room) {
+  const n = Math.max(1, countPlayers(room));
+  const f = 1 + 0.35 * (n - 1); // stronger with more players
+  return { n, factor: f, diff: difficultyOf(room) };
+}
+
+// Returns the spawned monster, or null when the room is at its cap.
+// opts.at places it (e.g. boss summons) instead of a random spot.
+function spawnMonster(room, type, opts = {}) {
+  const { n, factor, diff } = scaleForPlayers(room);
+  const MONSTER_MAX_BASE = 16;
+  const cap = Math.round((MONSTER_MAX_BASE + (n - 1) * 10) * diff.monsterCap);
+  if (room.monsters.length >= cap) return null;
+
+  const pos = opts.at || spawnPoint(room, 'monsters', 0); // the type isn't rolled yet; pushed clear below
+  const chosenType = type || weightedChoice(room.rng, diff.enemyMix);
+  const spec = ENEMY_TYPES[chosenType];
+  const hp = Math.max(1, Math.round(spec.baseHp * Math.sqrt(factor) * diff.hp));
+  const m = {
+    id: nextId(room),
+    type: chosenType,
+    x: clamp(pos.x, spec.radius, room.world.width - spec.radius),
+    y: clamp(pos.y, spec.radius, room.world.height - spec.radius),
+    vx: 0,
+    vy: 0,
+    radius: spec.radius,
+    hp,
+    maxHp: hp,
+    baseSpeed: spec.baseSpeed * (0.75 + 0.25 * factor) * diff.speed,
+    damage: spec.damage,
+    state: {},
+    ai: createAi(),
+  };
+  Obstacles.pushOut(m, m.radius, room.world.obstacles);
+  room.monsters.push(m);
+  return m;
+}
+
+// Bosses skip the cap and scale HP linearly with players, not by sqrt
+function spawnBoss(room, bossType) {
+  const { factor, diff } = scaleForPlayers(room);
+  const spec = BOSS_TYPES[bossType];
+  const pos = spawnPoint(room, 'monsters', spec.radius);
+  const hp = Math.round(spec.baseHp * factor * diff.hp);
+  const m = {
+    id: nextId(room),
+    type: 'boss',
+    bossType,
+    x: clamp(pos.x, spec.radius, room.world.width - spec.radius),
+    y: clamp(pos.y, spec.radius, room.world.height - spec.radius),
+    vx: 0,
+    vy: 0,
+    radius: spec.radius,
+    hp,
+    maxHp: hp,
+    baseSpeed: spec.baseSpeed * diff.speed,
+    damage: spec.damage,
+    state: { phase: -1, next: [], charge: null, spin: 0 },
+    ai: createAi(),
+  };
+  room.monsters.push(m);
+  pushEvent(room, 'bossSpawn', { id: m.id, bossType, name: spec.name });
+  return m;
+}
+
+function bossPhaseIndex(spec, m) {
+  const frac = m.hp / m.maxHp;
+  const i = spec.phases.findIndex((ph) => frac > ph.hpAbove);
+  return i === -1 ? spec.phases.length - 1 : i;
+}
+
+// Boss attack kinds; `a` is the attack entry from the phase definition
+const BOSS_ATTACKS = {
+  ring(room, m, p, a, now) {
+    m.state.spin += 0.35;
+    for (let i = 0; i < a.count; i++) {
+      const ang = m.state.spin + (i / a.count) * Math.PI * 2;
+      fireEnemyBullet(room, m, Math.cos(ang), Math.sin(ang), a.damage, now, a.speed);
+    }
+  },
+  summon(room, m, p, a) {
+    for (let i = 0; i < a.count; i++) {
+      const ang = room.rng() * Math.PI * 2;
+      spawnMonster(room, a.type, { at: { x: m.x + Math.cos(ang) * (m.radius + 24), y: m.y + Math.sin(ang) * (m.radius + 24) } });
+    }
+  },
+  // An oversized dasher: plant, telegraph with an aim line, then rush
+  charge(room, m, p, a, now) {
+    const dir = normalize(p.x - m.x, p.y - m.y);
+    m.state.charge = { dx: dir.x, dy: dir.y, startAt: now + a.windupMs, until: now + a.windupMs + a.durationMs, speed: a.speed };
+    const reach = m.baseSpeed * a.speed * (a.durationMs / 1000);
+    room.effects.push({ id: nextId(room), type: 'aim', x1: m.x, y1: m.y, x2: m.x + dir.x * reach, y2: m.y + dir.y * reach, from: now, until: now + a.windupMs });
+  },
+};
+
+function updateBoss(room, m, p, dt, now) {
+  const spec = BOSS_TYPES[m.bossType];
+  const st = m.state;
+  const phaseIdx = bossPhaseIndex(spec, m);
+  const phase = spec.phases[phaseIdx];
+  if (phaseIdx !== st.phase) {
+    // Stagger the first use of each attack so a new phase doesn't fire everything at once
+    st.next = phase.attacks.map((a, i) => now + 900 + i * 700);
+    if (st.phase !== -1) pushEvent(room, 'bossPhase', { id: m.id, phase: phaseIdx });
+    st.phase = phaseIdx;
+  }
+
+  if (st.charge) {
+    if (now >= st.charge.until) st.charge = null;
+    else if (now >= st.charge.startAt) {
+      m.x += st.charge.dx * m.baseSpeed * st.charge.speed * dt;
+      m.y += st.charge.dy * m.baseSpeed * st.charge.speed * dt;
+    }
+    return; // no other attacks or steering mid-charge
+  }
+
+  const to = heading(m, p);
+  const speed = m.baseSpeed * phase.speed;
+  m.vx = lerp(m.vx, to.x * speed, 0.05);
+  m.vy = lerp(m.vy, to.y * speed, 0.05);
+  m.x += m.vx * dt;
+  m.y += m.vy * dt;
+
+  for (let i = 0; i < phase.attacks.length; i++) {
+    if (now < st.next[i]) continue;
+    const a = phase.attacks[i];
+    st.next[i] = now + a.every;
+    BOSS_ATTACKS[a.kind](room, m, p, a, now);
+    if (st.charge) break;
+  }
+}
+
+function createWaveState(now) {
+  return { number: 0, phase: 'break', boss: false, budget: 0, spawned: 0, nextSpawnAt: 0, breakUntil: now + WAVE_FIRST_DELAY_MS, lastPowerAt: now };
+}
+
+// Wave mode: a fixed enemy budget per wave, then a break with powerups; every
+// WAVE_BOSS_EVERY-th wave brings a boss and trims its regular budget.
+function updateWaves(room, now, factor, diff) {
+  const w = room.wave;
+  if (w.phase === 'break') {
+    if (now - w.lastPowerAt > WAVE_BREAK_POWERUP_MS) { w.lastPowerAt = now; spawnPowerup(room); }
+    if (now < w.breakUntil) return;
+    w.number += 1;
+    w.phase = 'active';
+    w.boss = w.number % WAVE_BOSS_EVERY === 0;
+    w.budget = Math.round((5 + w.number * 3) * factor * diff.monsterCap * (w.boss ? 0.5 : 1));
+    w.spawned = 0;
+    w.nextSpawnAt = now;
+    const bossOrder = Object.keys(BOSS_TYPES);
+    const bossType = w.boss ? bossOrder[(w.number / WAVE_BOSS_EVERY - 1) % bossOrder.length] : null;
+    if (bossType) spawnBoss(room, bossType);
+    pushEvent(room, 'waveStart', { wave: w.number, boss: w.boss, bossName: bossType && BOSS_TYPES[bossType].name, budget: w.budget });
+    return;
+  }
+
+  if (w.spawned < w.budget && now >= w.nextSpawnAt) {
+    if (spawnMonster(room)) w.spawned += 1;
+    w.nextSpawnAt = now + (WAVE_SPAWN_INTERVAL_MS * diff.spawnInterval) / factor;
+  }
+  // Boss waves also end once the boss is gone; leftover summons roll over into the break
+  const cleared = w.boss ? !room.monsters.some((m) => m.type === 'boss') : room.monsters.length === 0;
+  if (w.spawned >= w.budget && cleared) {
+    w.phase = 'break';
+    w.breakUntil = now + WAVE_BREAK_MS;
+    pushEvent(room, 'waveEnd', { wave: w.number, breakMs: WAVE_BREAK_MS });
+  }
+}
+
+function spawnNeutral(room) {
+  if (room.neutrals.length >= 12) return;
+  const pos = spawnPoint(room, 'neutrals', 12);
+  room.neutrals.push({
+    id: nextId(room),
+    x: pos.x, y: pos.y, r: 12, hp: 2, maxHp: 2, vx: 0, vy: 0, wanderT: room.rng() * 3,
+  });
+}
+
+function spawnPowerup(room, at) {
+  if (room.powerups.length >= POWERUP_CAP) return;
+  const pos = at || spawnPoint(room, 'powerups', 12);
+  const type = choice(room.rng, Object.keys(POWERUP_TYPES));
+  room.powerups.push({
+    id: nextId(room), type, x: pos.x, y: pos.y, r: 12, expiresAt: room.time + POWERUP_LIFETIME_MS,
+  });
+}
+
+// Every source of damage to monsters and neutrals goes through these two:
+// credit for the owner, `hit`/`kill` events and the on-death rules.
+// `source` says what did it (shot, burst, grenade, beam) for the kill feed.
+function damageMonster(room, m, amount, owner, source) {
+  if (m.hp <= 0) return false; // already killed by something earlier this tick
+  creditDamage(owner, m, amount);
+  m.hp -= amount;
+  pushEvent(room, 'hit', { id: m.id, x: Math.round(m.x), y: Math.round(m.y), amount, by: owner ? owner.id : null });
+  if (m.hp > 0) return false;
+  const i = room.monsters.indexOf(m);
+  if (i >= 0) room.monsters.splice(i, 1);
+  creditKill(owner, m);
+  pushEvent(room, 'kill', { id: m.id, type: m.type, bossType: m.bossType || null, x: Math.round(m.x), y: Math.round(m.y), by: owner ? owner.id : null, source });
+  onMonsterDeath(room, m);
+  return true;
+}
+
+function damageNeutral(room, n, amount, owner, source) {
+  if (n.hp <= 0) return false;
+  n.hp -= amount;
+  pushEvent(room, 'hit', { id: n.id, x: Math.round(n.x), y: Math.round(n.y), amount, by: owner ? owner.id : null });
+  if (n.hp > 0) return false;
+  const i = room.neutrals.indexOf(n);
+  if (i >= 0) room.neutrals.splice(i, 1);
+  pushEvent(room, 'kill', { id: n.id, type: 'neutral', bossType: null, x: Math.round(n.x), y: Math.round(n.y), by: owner ? owner.id : null, source });
+  // Neutrals are loot pinatas: they always drop something
+  spawnPowerup(room, { x: n.x, y: n.y });
+  return true;
+}
+
+// Every kill leaves an xp orb; splitters break into minis; killed monsters may
+// leave a powerup behind, scaled by difficulty; bosses always do
+function onMonsterDeath(room, m) {
+  dropOrb(room, m.x, m.y, m.type === 'boss' ? BOSS_XP : ENEMY_TYPES[m.type].xp);
+  if (m.type === 'splitter') {
+    for (let k = 0; k < 2; k++) {
+      const mini = ENEMY_TYPES.mini;
+      room.monsters.push({ id: nextId(room), type: 'mini', x: m.x + (room.rng() - 0.5) * 20, y: m.y + (room.rng() - 0.5) * 20, vx: 0, vy: 0, radius: mini.radius, hp: mini.baseHp, maxHp: mini.baseHp, baseSpeed: mini.baseSpeed, damage: mini.damage, state: {}, ai: createAi() });
+    }
+  }
+  if (m.type === 'boss') {
+    pushEvent(room, 'bossDefeated', { id: m.id, bossType: m.bossType, name: BOSS_TYPES[m.bossType].name });
+    for (let i = 0; i < 3; i++) spawnPowerup(room, { x: m.x + (room.rng() - 0.5) * 80, y: m.y + (room.rng() - 0.5) * 80 });
+    return;
+  }
+  if (room.rng() < difficultyOf(room).powerupDrop) spawnPowerup(room, { x: m.x, y: m.y });
+}
+
+function tryShoot(room, p, now) {
+  const baseCooldown = 160;
+  const SHOT_COOLDOWN_MS = baseCooldown / p.buffs.firerate;
+  if (!p.shooting || p.downed) return;
+  if (now - p.lastShotAt < SHOT_COOLDOWN_MS) return;
+  p.lastShotAt = now;
+
+  const count = p.buffs.multishot;
+  const spread = Math.min(0.35, 0.08 * (count - 1));
+  for (let i = 0; i < count; i++) {
+    const t = count === 1 ? 0 : (i / (count - 1)) * 2 - 1; // -1..1
+    const angle = Math.atan2(p.dirY, p.dirX) + spread * t;
+    const dirX = Math.cos(angle);
+    const dirY = Math.sin(angle);
+    room.bullets.push({
+      id: nextId(room),
+      x: p.x + dirX * (PLAYER_RADIUS + BULLET_RADIUS + 1),
+      y: p.y + dirY * (PLAYER_RADIUS + BULLET_RADIUS + 1),
+      vx: dirX * BULLET_SPEED,
+      vy: dirY * BULLET_SPEED,
+      createdAt: now,
+      ownerId: p.id,
+      radius: BULLET_RADIUS,
+      damage: 1 + upgraded(p, 'damage'),
+      pierce: upgraded(p, 'pierce'),
+      bounces: upgraded(p, 'bounce'),
+    });
+  }
+}
+
+// Monster AI. Every AI_THINK_MS a monster re-thinks: it picks a target by its
+// type's TARGET_COST and, when an obstacle blocks the straight line, a waypoint
+// a couple of cells down the flow field toward it (game/navigation.js). Between
+// thinks it steers by that decision. Thinking is the costly part, so a room
+// gets AI_THINKS_PER_TICK of them per tick, taken round-robin: a crowded room
+// thinks less often rather than running over the tick. The budget counts thinks,
+// not milliseconds: a clock-based cut would make a replay think different
+// monsters than the match did. A count still bounds the time, as a think's only
+// open-ended cost is building a flow field, fields are cached per goal cell and
+// every goal is one of the (at most MAX_PLAYERS) players, who don't move mid-tick.
+const AI_THINK_MS = 100;
+const AI_THINKS_PER_TICK = 24;
+const AI_LOOKAHEAD_CELLS = 2;
+const TARGET_STICKINESS = 60; // how much closer another player must be to win a monster over
+const ISOLATION_WEIGHT = 0.75;
+const ISOLATION_CAP = 600; // beyond this from everyone else, a player counts as fully alone
+const ORBITER_CROWD_COST = 260; // extra distance per orbiter already circling a player
+
+// How unattractive player p is to monster m; the cheapest player wins.
+// Types not listed go for whoever is nearest.
+const TARGET_COST = {
+  // Dashers pick off whoever strays from the group
+  dasher: (m, p, crowd) => dist(m.x, m.y, p.x, p.y) - ISOLATION_WEIGHT * crowd.isolation.get(p),
+  // Orbiters spread out so each player gets their share circling them
+  orbiter: (m, p, crowd) => dist(m.x, m.y, p.x, p.y) + ORBITER_CROWD_COST * ((crowd.orbiters[p.id] || 0) - (m.ai.target === p.id ? 1 : 0)),
+};
+
+function createAi() { return { target: null, way: null, clear: true, at: -Infinity }; }
+
+// What the targeting rules need to know about the players' spread, worked out once per tick
+function crowdInfo(room, targets) {
+  const isolation = new Map();
+  for (const p of targets) {
+    let nearest = ISOLATION_CAP;
+    for (const q of targets) if (q !== p) nearest = Math.min(nearest, dist(p.x, p.y, q.x, q.y));
+    isolation.set(p, nearest);
+  }
+  const orbiters = {};
+  for (const m of room.monsters) if (m.type === 'orbiter' && m.ai.target) orbiters[m.ai.target] = (orbiters[m.ai.target] || 0) + 1;
+  return { isolation, orbiters };
+}
+
+function think(room, m, targets, crowd, now) {
+  const cost = TARGET_COST[m.type];
+  let target = null;
+  let best = Infinity;
+  for (const p of targets) {
+    const c = (cost ? cost(m, p, crowd) : dist(m.x, m.y, p.x, p.y)) - (p.id === m.ai.target ? TARGET_STICKINESS : 0);
+    if (c < best) { best = c; target = p; }
+  }
+  if (m.type === 'orbiter' && m.ai.target !== (target && target.id)) {
+    if (m.ai.target) crowd.orbiters[m.ai.target] -= 1;
+    if (target) crowd.orbiters[target.id] = (crowd.orbiters[target.id] || 0) + 1;
+  }
+  m.ai.at = now;
+  m.ai.target = target ? target.id : null;
+  m.ai.clear = !target || inSight(room, m, target, m.radius);
+  m.ai.way = m.ai.clear ? null : Navigation.nextStep(room.world, m.x, m.y, target.x, target.y, AI_LOOKAHEAD_CELLS);
+}
+
+// Spend this tick's thinks, carrying on round the monster list from where the last tick stopped
+function planMonsters(room, targets, now) {
+  const n = room.monsters.length;
+  if (!n || !targets.length) return;
+  const crowd = crowdInfo(room, targets);
+  let budget = AI_THINKS_PER_TICK;
+  let k = 0;
+  for (; k < n && budget > 0; k++) {
+    const m = room.monsters[(room.aiCursor + k) % n];
+    if (now - m.ai.at < AI_THINK_MS) continue;
+    think(room, m, targets, crowd, now);
+    budget -= 1;
+  }
+  room.aiCursor = (room.aiCursor + k) % n;
+}
+
+// The player m is after: its chosen target while that one is still up, else (until it next thinks) the nearest
+function targetOf(room, m, targets) {
+  const p = m.ai.target && room.players[m.ai.target];
+  return p && isActive(p) ? p : nearestPlayer(targets, m);
+}
+
+// Which way m should go to reach p: toward its waypoint while it has one to reach, else straight at p
+function heading(m, p) {
+  const w = m.ai.way;
+  if (w && dist(m.x, m.y, w.x, w.y) > m.radius) return normalize(w.x - m.x, w.y - m.y);
+  return normalize(p.x - m.x, p.y - m.y);
+}
+
+// Whether something of radius r could go straight from a to b without touching an obstacle
+function inSight(room, a, b, r) {
+  const obstacles = room.world.obstacles;
+  return !obstacles.length || !Obstacles.raycast(a.x, a.y, b.x, b.y, r, obstacles).obstacle;
+}
+
+function nearestPlayer(targets, from) {
+  let target = null;
+  let best = Infinity;
+  for (const p of targets) {
+    const d = dist(from.x, from.y, p.x, p.y);
+    if (d < best) { best = d; target = p; }
+  }
+  return target;
+}
+
+// Broad-phase grids, rebuilt from the room right before the passes that use
+// them. They live out here, not on the room, so clones and replays never see them.
+const grids = { monsters: Spatial.createGrid(), neutrals: Spatial.createGrid(), powerups: Spatial.createGrid() };
+const near = []; // scratch for grid queries
+function clearNear() { if (near.length) near.length = 0; return near; }
+
+// Every grid uses this cell size; Infinity turns partitioning off (see bench/collisions.js)
+function setGridCellSize(size) { for (const k in grids) grids[k] = Spatial.createGrid(size); }
+
+function indexMonsters(room) {
+  Spatial.resetGrid(grids.monsters, room.world.width, room.world.height);
+  for (const m of room.monsters) Spatial.insert(grids.monsters, m, m.x, m.y, m.radius);
+}
+
+function nearMonsters(x, y, r) { return Spatial.query(grids.monsters, x, y, r, clearNear()); }
+
+// damageMonster, plus a splitter's minis go into the grid so later hits this tick can find them
+function hitMonster(room, m, amount, owner, source) {
+  const before = room.monsters.length;
+  if (!damageMonster(room, m, amount, owner, source)) return false;
+  for (let i = before - 1; i < room.monsters.length; i++) { const k = room.monsters[i]; Spatial.insert(grids.monsters, k, k.x, k.y, k.radius); }
+  return true;
+}
+
+function updateEnemies(room, dt, now) {
+  // Players don't move or go down while enemies think, so one list serves every monster
+  const targets = Object.values(room.players).filter(isActive);
+  planMonsters(room, targets, now);
+  for (let i = room.monsters.length - 1; i >= 0; i--) {
+    const m = room.monsters[i];
+    const p = targetOf(room, m, targets);
+    const speed = m.baseSpeed;
+    if (!p) continue;
+
+    switch (m.type) {
+      case 'chaser': {
+        const to = heading(m, p);
+        m.vx = lerp(m.vx, to.x * speed, 0.08);
+        m.vy = lerp(m.vy, to.y * speed, 0.08);
+        m.x += m.vx * dt;
+        m.y += m.vy * dt;
+        break;
+      }
+      case 'dasher': {
+        const st = m.state;
+        if (!st.mode) { st.mode = 'windup'; st.timer = 0; }
+        st.timer += dt;
+        if (st.mode === 'windup') {
+          const to = heading(m, p);
+          const tangent = { x: -to.y, y: to.x };
+          m.x += (to.x * 40 + tangent.x * 70) * dt;
+          m.y += (to.y * 40 + tangent.y * 70) * dt;
+          if (st.timer > 0.8) {
+            st.mode = 'dash';
+            st.timer = 0;
+            const dir = heading(m, p);
+            st.dx = dir.x; st.dy = dir.y;
+          }
+        } else if (st.mode === 'dash') {
+          const dashSpeed = speed * 3.2;
+          m.x += st.dx * dashSpeed * dt;
+          m.y += st.dy * dashSpeed * dt;
+          if (st.timer > 0.28) { st.mode = 'windup'; st.timer = 0; }
+        }
+        break;
+      }
+      case 'orbiter': {
+        const st = m.state;
+        if (!m.ai.clear) {
+          // No circling through walls: find a way round to the target first
+          const way = heading(m, p);
+          m.x += way.x * speed * dt;
+          m.y += way.y * speed * dt;
+          break;
+        }
+        const desired = 160 + 40 * Math.sin(now / 500 + (st.seed || 0));
+        const d = dist(m.x, m.y, p.x, p.y);
+        const to = normalize(p.x - m.x, p.y - m.y);
+        const tangent = { x: -to.y, y: to.x };
+        // Close in (or back off) toward the orbit, no faster than it circles
+        const inward = clamp((d - desired) * 0.8, -speed, speed);
+        m.x += (tangent.x * speed + to.x * inward) * dt;
+        m.y += (tangent.y * speed + to.y * inward) * dt;
+        break;
+      }
+      case 'splitter': {
+        const st = m.state;
+        if (!st.cool) st.cool = 0;
+        st.cool -= dt;
+        if (st.cool <= 0) {
+          const to = heading(m, p);
+          const rand = normalize(room.rng() - 0.5, room.rng() - 0.5);
+          m.vx = (to.x * 0.8 + rand.x * 0.4) * speed * 2.0;
+          m.vy = (to.y * 0.8 + rand.y * 0.4) * speed * 2.0;
+          st.cool = 0.6;
+        }
+        m.x += m.vx * dt;
+        m.y += m.vy * dt;
+        m.vx *= 0.86; m.vy *= 0.86;
+        break;
+      }
+      case 'sniper': {
+        const st = m.state;
+        if (!st.mode) { st.mode = 'reposition'; st.timer = SNIPER_RELOAD_MS / 2000; }
+        const d = dist(m.x, m.y, p.x, p.y);
+        if (st.mode === 'aim') {
+          // Hold still while the aim line is up, then fire along it
+          st.timer -= dt;
+          if (st.timer <= 0) {
+            fireEnemyBullet(room, m, st.ax, st.ay, ENEMY_TYPES.sniper.shotDamage, now);
+            st.mode = 'reposition';
+            st.timer = SNIPER_RELOAD_MS / 1000;
+          }
+          break;
+        }
+        const to = normalize(p.x - m.x, p.y - m.y);
+        st.timer -= dt;
+        // Without a clear shot it works its way around to one
+        if (!m.ai.clear) {
+          const way = heading(m, p);
+          m.x += way.x * speed * dt;
+          m.y += way.y * speed * dt;
+          break;
+        }
+        const tangent = { x: -to.y, y: to.x };
+        const desired = 420;
+        const away = (desired - d);
+        m.x += (tangent.x * speed * 1.1 + to.x * (-away * 0.8)) * dt;
+        m.y += (tangent.y * speed * 1.1 + to.y * (-away * 0.8)) * dt;
+        if (st.timer <= 0 && d <= SNIPER_RANGE) {
+          st.mode = 'aim';
+          st.timer = SNIPER_AIM_MS / 1000;
+          st.ax = to.x; st.ay = to.y;
+          room.effects.push({ id: nextId(room), type: 'aim', x1: m.x, y1: m.y, x2: m.x + to.x * SNIPER_RANGE, y2: m.y + to.y * SNIPER_RANGE, from: now, until: now + SNIPER_AIM_MS });
+        }
+        break;
+      }
+      case 'mini': {
+        const to = heading(m, p);
+        m.x += to.x * speed * dt;
+        m.y += to.y * speed * dt;
+        break;
+      }
+      case 'boss': updateBoss(room, m, p, dt, now); break;
+    }
+
+    keepInWorld(room, m);
+  }
+  separateMonsters(room);
+}
+
+// Keep in bounds and out of walls
+function keepInWorld(room, m) {
+  m.x = clamp(m.x, m.radius, room.world.width - m.radius);
+  m.y = clamp(m.y, m.radius, room.world.height - m.radius);
+  Obstacles.pushOut(m, m.radius, room.world.obstacles);
+}
+
+// Push overlapping monsters apart so packs spread out instead of stacking into
+// one blob. Each pair resolves part of its overlap per tick, and the bigger
+// monster (by area) gives way less: minis bounce off a boss, not the reverse.
+const SEPARATION = 0.5;
+function separateMonsters(room) {
+  indexMonsters(room);
+  let moved = false;
+  for (const m of room.monsters) {
+    for (const k of nearMonsters(m.x, m.y, m.radius)) {
+      if (k.id <= m.id) continue; // each pair once
+      const dx = k.x - m.x, dy = k.y - m.y;
+      const d = Math.hypot(dx, dy);
+      const overlap = m.radius + k.radius - d;
+      if (overlap <= 0) continue;
+      const nx = d ? dx / d : 1, ny = d ? dy / d : 0;
+      const wm = m.radius * m.radius, wk = k.radius * k.radius;
+      const push = overlap * SEPARATION / (wm + wk);
+      m.x -= nx * push * wk; m.y -= ny * push * wk;
+      k.x += nx * push * wm; k.y += ny * push * wm;
+      moved = true;
+    }
+  }
+  if (moved) for (const m of room.monsters) keepInWorld(room, m);
+}
+
+// Push a thrown thing out of any wall it went into and bounce it off, keeping
+// `keep` of its speed; returns false when it wasn't in a wall
+function bounceOffObstacles(room, b, r, keep = 0.5) {
+  const x = b.x, y = b.y;
+  Obstacles.pushOut(b, r, room.world.obstacles);
+  if (b.x === x && b.y === y) return false;
+  const n = normalize(b.x - x, b.y - y);
+  const along = b.vx * n.x + b.vy * n.y;
+  if (along < 0) { b.vx = (b.vx - 2 * along * n.x) * keep; b.vy = (b.vy - 2 * along * n.y) * keep; }
+  return true;
+}
+
+// Ricochet bullets bounce off the world's edges as well as its walls
+function ricochet(room, b) {
+  const { width, height } = room.world;
+  let hit = bounceOffObstacles(room, b, b.radius, 1);
+  if (b.x < b.radius || b.x > width - b.radius) { b.x = clamp(b.x, b.radius, width - b.radius); b.vx = -b.vx; hit = true; }
+  if (b.y < b.radius || b.y > height - b.radius) { b.y = clamp(b.y, b.radius, height - b.radius); b.vy = -b.vy; hit = true; }
+  return hit;
+}
+
+// A bullet that hit something goes on while it has pierce left, and never hits that thing again
+function spendBullet(room, i, b, target) {
+  if (!b.pierce) { room.bullets.splice(i, 1); return; }
+  b.pierce -= 1;
+  (b.hits || (b.hits = [])).push(target.id);
+}
+
+function fireEnemyBullet(room, m, dirX, dirY, damage, now, speed = ENEMY_BULLET_SPEED) {
+  room.enemyBullets.push({
+    id: nextId(room),
+    x: m.x + dirX * (m.radius + ENEMY_BULLET_RADIUS + 1),
+    y: m.y + dirY * (m.radius + ENEMY_BULLET_RADIUS + 1),
+    vx: dirX * speed,
+    vy: dirY * speed,
+    createdAt: now,
+    radius: ENEMY_BULLET_RADIUS,
+    damage,
+  });
+}
+
+// Stacking buffs are capped; each pickup is undone on its own when it runs out
+function addTimedBuff(p, stat, amount, max, durationMs, now) {
+  p.buffs[stat] = Math.min(max, p.buffs[stat] + amount);
+  p.timedBuffs.push({ stat, amount, until: now + durationMs });
+}
+
+function expireBuffs(p, now) {
+  for (let i = p.timedBuffs.length - 1; i >= 0; i--) {
+    const b = p.timedBuffs[i];
+    if (b.until > now) continue;
+    p.buffs[b.stat] = Math.max(1, p.buffs[b.stat] - b.amount);
+    p.timedBuffs.splice(i, 1);
+  }
+}
+
+function applyPowerup(p, type, now) {
+  const u = POWERUP_TYPES[type];
+  if (!u) return;
+  switch (u.effect) {
+    case 'buff': addTimedBuff(p, u.stat, u.amount, u.max, u.durationMs, now); break;
+    case 'heal': p.hp = Math.min(p.maxHp, p.hp + u.amount); break;
+    case 'shield':
+      p.buffs.shieldUntil = u.stack === 'extend' ? Math.max(p.buffs.shieldUntil, now) + u.durationMs : Math.max(p.buffs.shieldUntil, now + u.durationMs);
+      break;
+  }
+}
+
+// Run progression: kills drop xp orbs, xp fills levels and every level earns an
+// upgrade, picked from an offer of UPGRADE_CHOICES. Nothing waits on the pick;
+// level-ups that come in meanwhile each get their own offer after it.
+function dropOrb(room, x, y, xp) {
+  if (room.orbs.length >= ORB_CAP) room.orbs.shift();
+  room.orbs.push({ id: nextId(room), x, y, r: 5 + Math.min(7, xp), xp, expiresAt: room.time + ORB_LIFETIME_MS });
+}
+
+function xpToLevelUp(level) { return XP_FIRST_LEVEL + XP_PER_LEVEL * (level - 1); }
+
+function gainXp(room, p, xp) {
+  p.xp += xp;
+  while (p.xp >= xpToLevelUp(p.level)) {
+    p.xp -= xpToLevelUp(p.level);
+    p.level += 1;
+    p.levelUps += 1;
+    pushEvent(room, 'levelUp', { id: p.id, level: p.level });
+  }
+  if (p.levelUps && !p.offer.length) offerUpgrades(room, p);
+}
+
+// Different upgrades the player hasn't maxed yet; with all of them maxed, level-ups earn nothing more
+function offerUpgrades(room, p) {
+  const open = Object.keys(UPGRADE_TYPES).filter((k) => p.upgrades[k] < UPGRADE_TYPES[k].maxLevel);
+  p.offer = [];
+  while (p.offer.length < UPGRADE_CHOICES && open.length) p.offer.push(open.splice((room.rng() * open.length) | 0, 1)[0]);
+  if (!p.offer.length) p.levelUps = 0;
+}
+
+// Returns false unless type is on the player's current offer
+function chooseUpgrade(room, p, type) {
+  if (!p.offer.includes(type)) return false;
+  p.upgrades[type] += 1;
+  p.levelUps -= 1;
+  p.offer = [];
+  if (p.levelUps) offerUpgrades(room, p);
+  return true;
+}
+
+// What a player's levels of an upgrade add up to
+function upgraded(p, type) { return p.upgrades[type] * UPGRADE_TYPES[type].amount; }
+
+// What each ability kind does, given its ABILITY_TYPES entry
+const ABILITY_KINDS = {
+  burst(room, p, def, now) {
+    const base = Math.atan2(p.dirY, p.dirX);
+    for (let i = 0; i < def.count; i++) {
+      const t = def.count === 1 ? 0 : (i / (def.count - 1)) * 2 - 1;
+      const a = base + t * def.spread * 0.5;
+      const dx = Math.cos(a), dy = Math.sin(a);
+      room.bullets.push({
+        id: nextId(room), x: p.x + dx * 20, y: p.y + dy * 20, vx: dx * def.speed, vy: dy * def.speed, createdAt: now, ownerId: p.id, radius: BULLET_RADIUS + 1,
+        damage: def.damage + upgraded(p, 'damage'), pierce: upgraded(p, 'pierce'), bounces: upgraded(p, 'bounce'), source: 'burst',
+      });
+    }
+  },
+  dash(room, p, def, now) {
+    const before = { x: p.x, y: p.y };
+    p.dashingUntil = now + def.durationMs;
+    p.iFramesUntil = now + def.iFramesMs;
+    // Stops short at the first wall in the way
+    const { t } = Obstacles.raycast(p.x, p.y, p.x + p.dirX * def.distance, p.y + p.dirY * def.distance, p.radius, room.world.obstacles);
+    p.x += p.dirX * def.distance * t; p.y += p.dirY * def.distance * t;
+    Obstacles.pushOut(p, p.radius, room.world.obstacles);
+    room.effects.push({ id: nextId(room), type: 'dash', x1: before.x, y1: before.y, x2: p.x, y2: p.y, until: now + 220 });
+  },
+  grenade(room, p, def, now) {
+    const dx = p.dirX, dy = p.dirY;
+    const radius = def.radius * (1 + upgraded(p, 'blast'));
+    room.bombs.push({ id: nextId(room), x: p.x + dx * 20, y: p.y + dy * 20, vx: dx * def.speed, vy: dy * def.speed, explodeAt: now + def.fuseMs, radius, damage: def.damage, ownerId: p.id });
+  },
+  beam(room, p, def, now) {
+    const x1 = p.x, y1 = p.y;
+    const x2 = p.x + p.dirX * def.range, y2 = p.y + p.dirY * def.range;
+    indexMonsters(room);
+    const w = def.width;
+    const hits = Spatial.queryRect(grids.monsters, Math.min(x1, x2) - w, Math.min(y1, y2) - w, Math.max(x1, x2) + w, Math.max(y1, y2) + w);
+    for (let i = hits.length - 1; i >= 0; i--) {
+      const m = hits[i];
+      const A = { x: x1, y: y1 }, B = { x: x2, y: y2 }, P = { x: m.x, y: m.y };
+      const ABx = B.x - A.x, ABy = B.y - A.y;
+      const t = Math.max(0, Math.min(1, ((P.x - A.x) * ABx + (P.y - A.y) * ABy) / (ABx * ABx + ABy * ABy)));
+      const Cx = A.x + ABx * t, Cy = A.y + ABy * t;
+      const d = dist(P.x, P.y, Cx, Cy);
+      if (d <= m.radius + def.width) damageMonster(room, m, def.damage, p, 'beam');
+    }
+    room.effects.push({ id: nextId(room), type: 'beam', x1, y1, x2, y2, until: now + 150 });
+  },
+};
+
+// Returns false when the ability is unknown or still cooling down
+function useAbility(room, p, type, now) {
+  const def = ABILITY_TYPES[type];
+  if (!def || now < (p.abilityCd[type] || 0)) return false;
+  p.abilityCd[type] = now + def.cooldownMs * (1 - upgraded(p, 'cooldown'));
+  ABILITY_KINDS[def.kind](room, p, def, now);
+  return true;
+}
+
+// Returns true if the hit landed; shields and iFrames swallow it
+function damagePlayer(room, p, amount, now) {
+  if (p.downed || now < p.iFramesUntil || now < p.buffs.shieldUntil) return false;
+  p.hp = Math.max(0, p.hp - amount);
+  p.iFramesUntil = now + PLAYER_HIT_IFRAMES_MS;
+  if (p.hp === 0) {
+    p.downed = true;
+    p.reviveProgress = 0;
+    p.shooting = false;
+    pushEvent(room, 'playerDown', { id: p.id });
+  }
+  return true;
+}
+
+function updateRevives(room, dt, now) {
+  const players = Object.values(room.players);
+  for (const p of players) {
+    if (!p.downed) continue;
+    const helper = players.find((q) => isActive(q) && dist(p.x, p.y, q.x, q.y) <= p.radius + q.radius + REVIVE_RADIUS);
+    if (!helper) { p.reviveProgress = 0; continue; }
+    p.reviveProgress += dt * 1000;
+    if (p.reviveProgress >= REVIVE_TIME_MS) {
+      p.downed = false;
+      p.reviveProgress = 0;
+      p.hp = Math.round(p.maxHp * REVIVE_HP_FRACTION);
+      p.iFramesUntil = now + 1500;
+      pushEvent(room, 'playerRevived', { id: p.id, by: helper.id });
+    }
+  }
+
+  // Offline players neither keep the run alive nor end it
+  const online = players.filter((p) => !p.offline);
+  if (online.length > 0 && online.every((p) => p.downed)) {
+    room.gameOverAt = now;
+    pushEvent(room, 'gameOver', {
+      survivedMs: now - room.startedAt,
+      players: players.map((p) => ({ id: p.id, name: p.name, color: p.color, kills: p.kills, level: p.level, stats: structuredClone(p.stats) })),
+    });
+  }
+}
+
+function updateRoom(room, dt, now) {
+  if (room.gameOverAt) return;
+  const { factor, diff } = scaleForPlayers(room);
+
+  // Spawns
+  const MONSTER_SPAWN_INTERVAL_MS_BASE = 2400;
+  const spawnInterval = (MONSTER_SPAWN_INTERVAL_MS_BASE * diff.spawnInterval) / factor;
+  if (room.wave) updateWaves(room, now, factor, diff);
+  else {
+    if (now - room.lastSpawnAt > spawnInterval) { room.lastSpawnAt = now; spawnMonster(room); }
+    if (now - room.lastBossAt > BOSS_ENDLESS_INTERVAL_MS && !room.monsters.some((m) => m.type === 'boss')) {
+      room.lastBossAt = now;
+      spawnBoss(room, choice(room.rng, Object.keys(BOSS_TYPES)));
+    }
+  }
+
+  if (now - room.lastPowerAt > 6000) { room.lastPowerAt = now; spawnPowerup(room); }
+  if (now - room.lastNeutralAt > 7000) { room.lastNeutralAt = now; spawnNeutral(room); }
+
+  // Move players by their queued inputs; the budget keeps a fast client clock from speeding
+  for (const id in room.players) {
+    const p = room.players[id];
+    p.moveBudget = Math.min(MAX_MOVE_BUDGET_S, p.moveBudget + dt);
+    for (const inp of p.inputQueue) {
+      p.up = inp.up; p.down = inp.down; p.left = inp.left; p.right = inp.right;
+      p.shooting = inp.shooting;
+      if (inp.angle !== null) { p.dirX = Math.cos(inp.angle); p.dirY = Math.sin(inp.angle); }
+      const step = Math.min(inp.dt, p.moveBudget);
+      p.moveBudget -= step;
+      if (!p.downed) stepMovement(p, inp, step, now, room.world);
+      p.lastInputSeq = inp.seq;
+    }
+    p.inputQueue.length = 0;
+    for (const type of p.abilityQueue) if (isActive(p) && useAbility(room, p, type, now)) p.stats.abilitiesUsed += 1;
+    p.abilityQueue.length = 0;
+    for (const type of p.upgradeQueue) chooseUpgrade(room, p, type);
+    p.upgradeQueue.length = 0;
+    expireBuffs(p, now);
+    tryShoot(room, p, now);
+  }
+
+  // Enemies
+  updateEnemies(room, dt, now);
+  // Monsters stay put from here on; hitMonster() keeps the grid current as they die and split
+  indexMonsters(room);
+
+  // Bombs
+  for (let i = room.bombs.length - 1; i >= 0; i--) {
+    const b = room.bombs[i];
+    b.x += b.vx * dt; b.y += b.vy * dt; b.vx *= 0.98; b.vy *= 0.98;
+    bounceOffObstacles(room, b, BOMB_RADIUS);
+    if (now >= b.explodeAt) {
+      const inBlast = nearMonsters(b.x, b.y, b.radius);
+      for (let j = inBlast.length - 1; j >= 0; j--) {
+        const m = inBlast[j];
+        if (dist(b.x, b.y, m.x, m.y) <= b.radius + m.radius) hitMonster(room, m, b.damage, room.players[b.ownerId], 'grenade');
+      }
+      room.effects.push({ id: nextId(room), type: 'explosion', x: b.x, y: b.y, r: b.radius, until: now + 220 });
+      room.bombs.splice(i, 1);
+    }
+  }
+
+  for (let i = room.effects.length - 1; i >= 0; i--) { if (room.effects[i].until <= now) room.effects.splice(i, 1); }
+
+  // Move bullets and cull
+  for (let i = room.bullets.length - 1; i >= 0; i--) {
+    const b = room.bullets[i];
+    b.x += b.vx * dt; b.y += b.vy * dt;
+    if (b.bounces && ricochet(room, b)) b.bounces -= 1;
+    const expired = now - b.createdAt > BULLET_LIFETIME_MS;
+    const outOfBounds = b.x < -50 || b.y < -50 || b.x > room.world.width + 50 || b.y > room.world.height + 50;
+    if (expired || outOfBounds || Obstacles.overlaps(b.x, b.y, b.radius, room.world.obstacles)) { room.bullets.splice(i, 1); continue; }
+  }
+
+  // Enemy bullets: shields absorb them, iFrames (e.g. dashing) let them pass through
+  for (let i = room.enemyBullets.length - 1; i >= 0; i--) {
+    const b = room.enemyBullets[i];
+    b.x += b.vx * dt; b.y += b.vy * dt;
+    const expired = now - b.createdAt > ENEMY_BULLET_LIFETIME_MS;
+    const outOfBounds = b.x < -50 || b.y < -50 || b.x > room.world.width + 50 || b.y > room.world.height + 50;
+    if (expired || outOfBounds || Obstacles.overlaps(b.x, b.y, b.radius, room.world.obstacles)) { room.enemyBullets.splice(i, 1); continue; }
+    for (const id in room.players) {
+      const p = room.players[id];
+      if (!isActive(p) || !circleCollide(b.x, b.y, b.radius, p.x, p.y, p.radius)) continue;
+      if (now < p.buffs.shieldUntil || damagePlayer(room, p, b.damage, now)) { room.enemyBullets.splice(i, 1); break; }
+    }
+  }
+
+  // Collisions bullets vs monsters: each bullet hits the newest monster it touches
+  for (let i = room.bullets.length - 1; i >= 0; i--) {
+    const b = room.bullets[i];
+    const candidates = nearMonsters(b.x, b.y, b.radius);
+    for (let j = candidates.length - 1; j >= 0; j--) {
+      const m = candidates[j];
+      if (m.hp <= 0 || b.hits?.includes(m.id) || !circleCollide(b.x, b.y, b.radius, m.x, m.y, m.radius)) continue;
+      spendBullet(room, i, b, m);
+      hitMonster(room, m, b.damage ?? 1, room.players[b.ownerId], b.source || 'shot');
+      break;
+    }
+  }
+
+  // Player vs powerups
+  room.powerups = room.powerups.filter((u) => u.expiresAt > now);
+  Spatial.resetGrid(grids.powerups, room.world.width, room.world.height);
+  for (const u of room.powerups) Spatial.insert(grids.powerups, u, u.x, u.y, u.r);
+  const taken = new Set();
+  for (const id in room.players) {
+    const p = room.players[id];
+    if (!isActive(p)) continue;
+    const candidates = Spatial.query(grids.powerups, p.x, p.y, p.radius, clearNear());
+    for (let i = candidates.length - 1; i >= 0; i--) {
+      const u = candidates[i];
+      if (taken.has(u) || !circleCollide(p.x, p.y, p.radius, u.x, u.y, u.r)) continue;
+      taken.add(u);
+      applyPowerup(p, u.type, now);
+      p.stats.powerupsCollected += 1;
+      pushEvent(room, 'pickup', { id: p.id, type: u.type, x: Math.round(u.x), y: Math.round(u.y) });
+    }
+  }
+  if (taken.size) room.powerups = room.powerups.filter((u) => !taken.has(u));
+
+  // XP orbs fly to the nearest player in reach and go to whoever touches them
+  room.orbs = room.orbs.filter((o) => o.expiresAt > now);
+  const collectors = Object.values(room.players).filter(isActive);
+  for (let i = room.orbs.length - 1; i >= 0 && collectors.length; i--) {
+    const o = room.orbs[i];
+    const p = nearestPlayer(collectors, o);
+    const d = dist(o.x, o.y, p.x, p.y);
+    if (d <= p.radius + o.r) { room.orbs.splice(i, 1); gainXp(room, p, o.xp); continue; }
+    if (d > p.radius + ORB_MAGNET_RADIUS) continue;
+    const pull = Math.min(d, ORB_PULL_SPEED * dt) / d;
+    o.x += (p.x - o.x) * pull; o.y += (p.y - o.y) * pull;
+    Obstacles.pushOut(o, o.r, room.world.obstacles);
+  }
+
+  // Neutrals wander and can be hit by bullets
+  for (const n of room.neutrals) {
+    n.wanderT -= dt;
+    if (n.wanderT <= 0) { n.wanderT = 1 + room.rng() * 2.5; const dir = normalize(room.rng() - 0.5, room.rng() - 0.5); n.vx = dir.x * 80; n.vy = dir.y * 80; }
+    n.x += n.vx * dt; n.y += n.vy * dt; n.vx *= 0.98; n.vy *= 0.98;
+    n.x = clamp(n.x, n.r, room.world.width - n.r);
+    n.y = clamp(n.y, n.r, room.world.height - n.r);
+    Obstacles.pushOut(n, n.r, room.world.obstacles);
+  }
+  Spatial.resetGrid(grids.neutrals, room.world.width, room.world.height);
+  for (const n of room.neutrals) Spatial.insert(grids.neutrals, n, n.x, n.y, n.r);
+  for (let i = room.bullets.length - 1; i >= 0; i--) {
+    const b = room.bullets[i];
+    const candidates = Spatial.query(grids.neutrals, b.x, b.y, b.radius, clearNear());
+    for (let j = candidates.length - 1; j >= 0; j--) {
+      const n = candidates[j];
+      if (n.hp <= 0 || b.hits?.includes(n.id) || !circleCollide(b.x, b.y, b.radius, n.x, n.y, n.r)) continue;
+      spendBullet(room, i, b, n);
+      damageNeutral(room, n, b.damage ?? 1, room.players[b.ownerId], b.source || 'shot');
+      break;
+    }
+  }
+
+  // Monsters collide with players -> damage by the hardest-hitting contact (unless shield/iFrames)
+  for (const id in room.players) {
+    const p = room.players[id];
+    if (!isActive(p)) continue;
+    let damage = 0;
+    for (const m of nearMonsters(p.x, p.y, p.radius)) {
+      if (m.hp > 0 && circleCollide(p.x, p.y, p.radius, m.x, m.y, m.radius)) damage = Math.max(damage, m.damage);
+    }
+    if (damage > 0) damagePlayer(room, p, damage, now);
+  }
+
+  updateRevives(room, dt, now);
+}
+
+// Health bar info for the first living boss, if any
+function bossSummary(room) {
+  const m = room.monsters.find((x) => x.type === 'boss');
+  if (!m) return null;
+  const spec = BOSS_TYPES[m.bossType];
+  return { id: m.id, bossType: m.bossType, hp: m.hp, maxHp: m.maxHp, phase: bossPhaseIndex(spec, m), thresholds: spec.phases.map((ph) => ph.hpAbove) };
+}
+
+function snapshot(room) {
+  return {
+    players: Object.values(room.players).map((p) => ({
+      id: p.id, name: p.name, offline: p.offline, x: Math.round(p.x), y: Math.round(p.y), color: p.color, kills: p.kills, hp: p.hp, maxHp: p.maxHp, downed: p.downed,
+      revive: p.reviveProgress / REVIVE_TIME_MS, iFramesUntil: p.iFramesUntil, dashingUntil: p.dashingUntil, ack: p.lastInputSeq, r: p.radius, cd: { ...p.abilityCd }, buffs: { ...p.buffs },
+      level: p.level, xp: p.xp, xpNext: xpToLevelUp(p.level), offer: p.offer.slice(), upgrades: { ...p.upgrades },
+    })),
+    bullets: room.bullets.map((b) => ({ id: b.id, x: Math.round(b.x), y: Math.round(b.y), r: b.radius })),
+    enemyBullets: room.enemyBullets.map((b) => ({ id: b.id, x: Math.round(b.x), y: Math.round(b.y), r: b.radius })),
+    monsters: room.monsters.map((m) => ({ id: m.id, x: Math.round(m.x), y: Math.round(m.y), r: m.radius, hp: m.hp, maxHp: m.maxHp, type: m.type, bossType: m.bossType })),
+    neutrals: room.neutrals.map((n) => ({ id: n.id, x: Math.round(n.x), y: Math.round(n.y), r: n.r, hp: n.hp, maxHp: n.maxHp })),
+    powerups: room.powerups.map((u) => ({ id: u.id, type: u.type, x: Math.round(u.x), y: Math.round(u.y), r: u.r })),
+    orbs: room.orbs.map((o) => ({ id: o.id, x: Math.round(o.x), y: Math.round(o.y), r: o.r })),
+    bombs: room.bombs.map((b) => ({ id: b.id, x: Math.round(b.x), y: Math.round(b.y), r: 8 })),
+    effects: room.effects.slice(0),
+    boss: bossSummary(room),
+    wave: room.wave && { number: room.wave.number, phase: room.wave.phase, boss: room.wave.boss, left: Math.max(0, room.wave.budget - room.wave.spawned) + room.monsters.length, breakUntil: room.wave.breakUntil },
+    serverTime: room.time,
+  };
+}
+
+// Advance the room by dt seconds; the fixed-step loop and tests call this
+function step(room, dt) {
+  if (room.gameOverAt) return;
+  room.time += dt * 1000;
+  room.tick += 1;
+  updateRoom(room, dt, room.time);
+}
+
+module.exports = {
+  WORLD,
+  PLAYER_RADIUS,
+  GAME_MODES,
+  MAX_PLAYERS,
+  MAX_QUEUED_INPUTS,
+  ENEMY_TYPES,
+  BOSS_TYPES,
+  ABILITY_TYPES,
+  POWERUP_TYPES,
+  UPGRADE_TYPES,
+  DIFFICULTY_PROFILES,
+  AI_THINKS_PER_TICK,
+  createRng,
+  createRoomState,
+  createWorld,
+  createPlayer,
+  resetRoom,
+  cloneRoom,
+  applyCommand,
+  nextId,
+  pushEvent,
+  damageMonster,
+  damageNeutral,
+  countPlayers,
+  isActive,
+  spawnMonster,
+  spawnBoss,
+  spawnPowerup,
+  applyPowerup,
+  gainXp,
+  damagePlayer,
+  setGridCellSize,
+  step,
+  snapshot,
+};
@@ -0,0 +1,87 @@
+// Uniform grid for broad-phase collision. Items go into every cell their
+// bounding box touches; a query returns each item whose cells it touches, once,
+// in insertion order, and the caller does the exact test. The simulation
+// rebuilds its grids from the room every tick rather than tracking moves:
+// nearly everything moves every tick anyway. The grid covers the world; things
+// beyond its edges land in the edge cells, which only costs extra candidates.
+// A grid with cellSize Infinity doesn't partition at all: every query returns
+// every item, as brute force would.
+// The cell size only tunes speed, not correctness: an item wider than a cell
+// (the broodmother is 104 across) sits in every cell it touches, so any query
+// box overlapping it still finds it.
+const CELL_SIZE = 96;
+const found = []; // scratch: item numbers a query turned up
+
+function createGrid(cellSize = CELL_SIZE) { return { cellSize, cols: 0, rows: 0, cells: [], used: [], items: [], marks: [], mark: 0 }; }
+
+// Empty the grid and size it for a width x height world; cell arrays are reused
+function resetGrid(grid, width, height) {
+  const s = grid.cellSize;
+  const cols = s === Infinity ? 1 : Math.max(1, Math.ceil(width / s));
+  const rows = s === Infinity ? 1 : Math.max(1, Math.ceil(height / s));
+  if (cols !== grid.cols || rows !== grid.rows) {
+    grid.cols = cols; grid.rows = rows;
+    grid.cells = Array.from({ length: cols * rows }, () => []);
+  } else {
+    for (const i of grid.used) grid.cells[i].length = 0;
+  }
+  grid.used.length = 0;
+  grid.items.length = 0;
+  grid.marks.length = 0;
+}
+
+function col(grid, x) { return Math.min(grid.cols - 1, Math.max(0, Math.floor(x / grid.cellSize))); }
+function row(grid, y) { return Math.min(grid.rows - 1, Math.max(0, Math.floor(y / grid.cellSize))); }
+
+function insert(grid, item, x, y, r) {
+  const seq = grid.items.push(item) - 1;
+  grid.marks.push(0);
+  if (grid.cellSize === Infinity) return;
+  const cx2 = col(grid, x + r), cy2 = row(grid, y + r);
+  for (let cy = row(grid, y - r); cy <= cy2; cy++) {
+    for (let cx = col(grid, x - r); cx <= cx2; cx++) {
+      const i = cy * grid.cols + cx;
+      if (grid.cells[i].push(seq) === 1) grid.used.push(i);
+    }
+  }
+}
+
+/**
+ * Items near the box (x1, y1)-(x2, y2) in insertion order, appended to `out`;
+ * without partitioning it's the grid's own list. Either way, read only.
+ */
+function queryRect(grid, x1, y1, x2, y2, out = []) {
+  if (grid.cellSize === Infinity) return grid.items;
+  const cx1 = col(grid, x1), cx2 = col(grid, x2), cy1 = row(grid, y1), cy2 = row(grid, y2);
+  // One cell, the usual case for bullets: already in order and without repeats
+  if (cx1 === cx2 && cy1 === cy2) {
+    for (const seq of grid.cells[cy1 * grid.cols + cx1]) out.push(grid.items[seq]);
+    return out;
+  }
+  const mark = ++grid.mark;
+  if (found.length) found.length = 0;
+  for (let cy = cy1; cy <= cy2; cy++) {
+    for (let cx = cx1; cx <= cx2; cx++) {
+      for (const seq of grid.cells[cy * grid.cols + cx]) {
+        if (grid.marks[seq] === mark) continue;
+        grid.marks[seq] = mark;
+        found.push(seq);
+      }
+    }
+  }
+  found.sort((a, b) => a - b);
+  for (const seq of found) out.push(grid.items[seq]);
+  return out;
+}
+
+/** Items near the circle at (x, y) with radius r */
+function query(grid, x, y, r, out) { return queryRect(grid, x - r, y - r, x + r, y + r, out); }
+
+module.exports = {
+  CELL_SIZE,
+  createGrid,
+  resetGrid,
+  insert,
+  query,
+  queryRect,
+};
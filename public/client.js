@@ -5,23 +5,78 @@
   const ctx = canvas.getContext('2d');
   const menu = document.getElementById('menu');
   const ui = document.getElementById('ui');
-  const btnPlay = document.getElementById('btnPlay');
+  const btnCreate = document.getElementById('btnCreate');
+  const inpName = document.getElementById('inpName');
+  const inpRoomName = document.getElementById('inpRoomName');
+  const chkPrivate = document.getElementById('chkPrivate');
+  const roomList = document.getElementById('roomList');
+  const btnRefresh = document.getElementById('btnRefresh');
+  const inpCode = document.getElementById('inpCode');
+  const btnJoinCode = document.getElementById('btnJoinCode');
+  const lobby = document.getElementById('lobby');
+  const lobbyName = document.getElementById('lobbyName');
+  const lobbyInfo = document.getElementById('lobbyInfo');
+  const lobbyLink = document.getElementById('lobbyLink');
+  const btnCopyLink = document.getElementById('btnCopyLink');
+  const lobbyPlayers = document.getElementById('lobbyPlayers');
+  const lobbyHint = document.getElementById('lobbyHint');
+  const btnLeave = document.getElementById('btnLeave');
+  const btnReady = document.getElementById('btnReady');
+  const btnStart = document.getElementById('btnStart');
   const optPlayers = document.getElementById('optPlayers');
   const optDiff = document.getElementById('optDiff');
+  const diffInfo = document.getElementById('diffInfo');
+  const optMode = document.getElementById('optMode');
+  const optMap = document.getElementById('optMap');
   const audioToggle = document.getElementById('audioToggle');
+  const gameOver = document.getElementById('gameOver');
+  const gameOverStats = document.getElementById('gameOverStats');
+  const btnToLobby = document.getElementById('btnToLobby');
+  const reconnecting = document.getElementById('reconnecting');
+  const chkRecord = document.getElementById('chkRecord');
+  const replayList = document.getElementById('replayList');
+  const btnReplays = document.getElementById('btnReplays');
+  const replayBar = document.getElementById('replayBar');
+  const rpPlay = document.getElementById('rpPlay');
+  const rpSpeed = document.getElementById('rpSpeed');
+  const rpSeek = document.getElementById('rpSeek');
+  const rpTime = document.getElementById('rpTime');
+  const rpExit = document.getElementById('rpExit');
+  const btnMenu = document.getElementById('btnMenu');
+  const btnLeaderboard = document.getElementById('btnLeaderboard');
+  const leaderboard = document.getElementById('leaderboard');
+  const lbDiff = document.getElementById('lbDiff');
+  const lbPlayers = document.getElementById('lbPlayers');
+  const lbList = document.getElementById('lbList');
+  const lbPlayer = document.getElementById('lbPlayer');
+  const btnLbBack = document.getElementById('btnLbBack');
   const bgmMenu = document.getElementById('bgmMenu');
   const bgmGame = document.getElementById('bgmGame');
+  const volMusic = document.getElementById('volMusic');
+  const volSfx = document.getElementById('volSfx');
+  const btnControls = document.getElementById('btnControls');
+  const controls = document.getElementById('controls');
+  const ctlList = document.getElementById('ctlList');
+  const btnCtlReset = document.getElementById('btnCtlReset');
+  const btnCtlBack = document.getElementById('btnCtlBack');
+
+  // ?proto=json switches state/input to plain JSON for debugging
+  const wireProto = new URLSearchParams(location.search).get('proto') === 'json' ? 'json' : 'bin';
 
   let myId = null;
-  let world = { width: 2400, height: 1800 };
-  let joined = false;
+  let world = { width: 2400, height: 1800, obstacles: [] };
+  let bossTypes = {}; // name/color/shape per boss, from init
+  let joined = false; // true while a match is on screen
+  let roomInfo = null; // last lobby payload for our room
 
   const state = {
     players: [],
     bullets: [],
+    enemyBullets: [],
     monsters: [],
     neutrals: [],
     powerups: [],
+    orbs: [],
     bombs: [],
     effects: [],
     serverTime: 0,
@@ -37,38 +92,58 @@
     mouseX: 0,
     mouseY: 0,
     angle: 0,
+    mx: 0, // analog movement, -1..1 per axis
+    my: 0,
   };
 
-  // Ability config (UI + keys + cooldowns must match server)
-  const ABILITIES = [
-    { type: 'burst', keyLabel: 'Q', codes: ['KeyQ'], cooldownMs: 3000 },
-    { type: 'dash', keyLabel: 'Shift', codes: ['ShiftLeft', 'ShiftRight'], cooldownMs: 6000 },
-    { type: 'grenade', keyLabel: 'E', codes: ['KeyE'], cooldownMs: 5000 },
-    { type: 'beam', keyLabel: 'R', codes: ['KeyR'], cooldownMs: 8000 },
-  ];
+  // Ability, powerup and upgrade definitions come from the server (in init, or
+  // from /api/registry before joining); the HUD and controls screen build from them
+  let ABILITIES = []; // [{ type, kind, label, color, cooldownMs, ... }] in bar order
+  let powerupTypes = {}; // type -> { label, color, effect, ... }
+  let upgradeTypes = {}; // type -> { label, text, color, maxLevel, ... }
 
   // Menu setup
   const playerOpts = [1, 2, 3, 4];
   const diffOpts = ['Easy', 'Normal', 'Hard', 'Insane'];
   let selectedPlayers = 1;
   let selectedDiff = 'Normal';
+  const modeOpts = ['Endless', 'Waves'];
+  let selectedMode = 'Endless';
+  let maps = [{ id: 'arena', name: 'Open arena' }]; // the full list comes from /api/maps
+  let selectedMap = 'arena';
+  function mapName(id = 'arena') { return maps.find((m) => m.id === id)?.name || id; }
+  // Difficulty profiles arrive with `init`; cached so the menu can describe them before joining
+  let difficultyProfiles = null;
+  try { difficultyProfiles = JSON.parse(localStorage.getItem('difficultyProfiles') || 'null'); } catch (_) {}
 
-  function buildOptions(container, options, selected, onPick) {
+  function buildOptions(container, options, selected, onPick, label = String) {
     container.innerHTML = '';
     options.forEach((opt) => {
       const b = document.createElement('button');
       b.className = 'btn' + (opt === selected ? ' active' : '');
-      b.textContent = String(opt);
+      b.textContent = label(opt);
       b.onclick = () => { onPick(opt); build(); };
       container.appendChild(b);
     });
   }
 
+  function describeDifficulty(d) {
+    if (!d) return '';
+    const pct = (m) => (m >= 1 ? '+' : '') + Math.round((m - 1) * 100) + '%';
+    const types = Object.keys(d.enemyMix).filter((t) => d.enemyMix[t] > 0);
+    return `Spawn rate ${pct(1 / d.spawnInterval)}, monster cap ${pct(d.monsterCap)}, HP ${pct(d.hp)}, speed ${pct(d.speed)}, ` +
+      `drops ${Math.round(d.powerupDrop * 100)}% | ${types.join(', ')}`;
+  }
+
   function build() {
     buildOptions(optPlayers, playerOpts, selectedPlayers, (v) => selectedPlayers = v);
     buildOptions(optDiff, diffOpts, selectedDiff, (v) => selectedDiff = v);
+    buildOptions(optMode, modeOpts, selectedMode, (v) => selectedMode = v);
+    buildOptions(optMap, maps.map((m) => m.id), selectedMap, (v) => selectedMap = v, mapName);
+    diffInfo.textContent = describeDifficulty(difficultyProfiles && difficultyProfiles[selectedDiff]);
   }
   build();
+  fetch('/api/maps').then((r) => r.json()).then((list) => { if (list.length) { maps = list; build(); } }).catch(() => {});
 
   // --------- Audio helpers (robust loader with fallbacks) ---------
   const menuCandidates = [
@@ -108,11 +183,33 @@
   const menuMusic = attachFallbackLoader(bgmMenu, menuCandidates);
   const gameMusic = attachFallbackLoader(bgmGame, gameCandidates);
 
+  const sfx = Sfx.createSfx();
+
+  // Volumes, kept across visits
+  const volumes = { music: 0.6, sfx: 0.8 };
+  try { Object.assign(volumes, JSON.parse(localStorage.getItem('volumes') || '{}')); } catch (_) {}
+  function applyVolumes() {
+    bgmMenu.volume = volumes.music;
+    bgmGame.volume = volumes.music;
+    sfx.setVolume(volumes.sfx);
+    volMusic.value = String(volumes.music);
+    volSfx.value = String(volumes.sfx);
+  }
+  function setVolume(key, value) {
+    volumes[key] = value;
+    applyVolumes();
+    try { localStorage.setItem('volumes', JSON.stringify(volumes)); } catch (_) {}
+  }
+  volMusic.oninput = () => setVolume('music', Number(volMusic.value));
+  volSfx.oninput = () => setVolume('sfx', Number(volSfx.value));
+  applyVolumes();
+
   // Unlock audio on first user gesture
   let audioUnlocked = false;
   function unlockAudio() {
     if (audioUnlocked) return;
     audioUnlocked = true;
+    sfx.unlock();
     menuMusic.play().then(() => menuMusic.pause()).catch(() => {});
     gameMusic.play().then(() => gameMusic.pause()).catch(() => {});
   }
@@ -144,14 +241,326 @@
 
   // ---------------------------------------------------------------
 
-  btnPlay.onclick = async () => {
-    if (joined) return;
+  // --------- Rooms & lobby ---------
+  inpName.value = localStorage.getItem('playerName') || '';
+  inpName.onchange = () => { try { localStorage.setItem('playerName', inpName.value.trim()); } catch (_) {} };
+
+  function showScreen(name) {
+    menu.style.display = name === 'menu' ? 'grid' : 'none';
+    lobby.style.display = name === 'lobby' ? 'grid' : 'none';
+    leaderboard.style.display = name === 'leaderboard' ? 'grid' : 'none';
+    controls.style.display = name === 'controls' ? 'grid' : 'none';
+    ui.style.display = name === 'game' ? 'block' : 'none';
+  }
+
+  let lastJoin = null; // so a full room can be re-joined as a spectator
+  function joinRoom(roomId, code, spectate = false) {
+    lastJoin = { roomId, code };
+    socket.emit('join', { roomId, code, spectate, name: inpName.value.trim(), proto: wireProto });
+  }
+
+  btnCreate.onclick = () => {
+    const settings = { maxPlayers: selectedPlayers, difficulty: selectedDiff, mode: selectedMode.toLowerCase(), map: selectedMap };
+    socket.emit('createRoom', { name: inpRoomName.value.trim(), private: chkPrivate.checked, record: chkRecord.checked, settings }, (res) => {
+      if (res?.roomId) joinRoom(res.roomId, res.code);
+      else alert(res?.error || 'Could not create the room');
+    });
+  };
+
+  function refreshRooms() {
+    socket.emit('listRooms', (list) => {
+      roomList.innerHTML = '';
+      if (!list || !list.length) { roomList.innerHTML = '<div class="hint">No open rooms yet, create one!</div>'; return; }
+      for (const r of list) {
+        const row = document.createElement('div');
+        row.className = 'list-item';
+        const info = document.createElement('span');
+        info.textContent = `${r.name} - ${r.players}/${r.maxPlayers} - ${r.difficulty}, ${r.mode}, ${mapName(r.map)}${r.phase === 'playing' ? ' (in game)' : ''}` +
+          (r.spectators ? ` - ${r.spectators} watching` : '');
+        const b = document.createElement('button');
+        b.className = 'btn small';
+        b.textContent = 'Join';
+        b.disabled = r.players >= r.maxPlayers;
+        b.onclick = () => joinRoom(r.id);
+        const w = document.createElement('button');
+        w.className = 'btn small';
+        w.textContent = 'Watch';
+        w.onclick = () => joinRoom(r.id, null, true);
+        const btns = document.createElement('span');
+        btns.className = 'row';
+        btns.append(b, w);
+        row.append(info, btns);
+        roomList.appendChild(row);
+      }
+    });
+  }
+  btnRefresh.onclick = refreshRooms;
+  btnJoinCode.onclick = () => { const code = inpCode.value.trim().toUpperCase(); if (code) joinRoom(null, code); };
+
+  function inviteLink(info) {
+    const q = new URLSearchParams({ room: info.roomId });
+    if (info.code) q.set('code', info.code);
+    return `${location.origin}${location.pathname}?${q}`;
+  }
+
+  function renderLobby(info) {
+    roomInfo = info;
+    const me = info.players.find((p) => p.id === myId);
+    const isHost = info.hostId === myId;
+    const others = info.players.filter((p) => p.id !== info.hostId);
+    const allReady = others.filter((p) => !p.offline).every((p) => p.ready); // as the server checks it
+    lobbyName.textContent = info.name;
+    lobbyInfo.textContent = `${info.players.length}/${info.settings.maxPlayers} players - ${info.settings.difficulty}, ${info.settings.mode}, ${mapName(info.settings.map)}` +
+      (info.private ? ` - private, code ${info.code}` : '') + (info.record ? ' - recorded' : '') +
+      (info.spectators ? ` - ${info.spectators} watching` : '');
+    lobbyLink.value = inviteLink(info);
+    lobbyPlayers.innerHTML = '';
+    for (const p of info.players) {
+      const row = document.createElement('div');
+      row.className = 'list-item';
+      const name = document.createElement('span');
+      name.innerHTML = `<span style="color:${p.color}">&#9679;</span> `;
+      name.append(p.name + (p.id === myId ? ' (you)' : ''));
+      const status = document.createElement('span');
+      status.className = 'hint';
+      status.textContent = p.offline ? 'Reconnecting...' : p.id === info.hostId ? 'Host' : (p.ready ? 'Ready' : 'Not ready');
+      row.append(name, status);
+      lobbyPlayers.appendChild(row);
+    }
+    btnReady.style.display = isHost || spectating ? 'none' : '';
+    btnReady.textContent = me?.ready ? 'Not ready' : 'Ready';
+    btnStart.style.display = isHost ? '' : 'none';
+    btnStart.disabled = !allReady;
+    lobbyHint.textContent = info.phase === 'playing' ? 'Match in progress'
+      : isHost ? (allReady ? 'Everyone is ready' : 'Waiting for players to ready up') : 'Waiting for the host to start';
+    if (spectating) lobbyHint.textContent += ' - you are spectating';
+  }
+
+  btnCopyLink.onclick = () => { lobbyLink.select(); navigator.clipboard?.writeText(lobbyLink.value).catch(() => {}); };
+  btnReady.onclick = () => {
+    const me = roomInfo?.players.find((p) => p.id === myId);
+    socket.emit('setReady', { ready: !me?.ready });
+  };
+  btnStart.onclick = () => socket.emit('startMatch');
+  function leaveRoom() {
+    socket.emit('leave');
+    saveSession(null);
+    location.href = location.pathname;
+  }
+  btnLeave.onclick = leaveRoom;
+
+  async function startGame() {
     joined = true;
-    menu.style.display = 'none';
-    ui.style.display = 'block';
+    gameOver.style.display = 'none';
+    pendingInputs.length = 0;
+    predicted = null;
+    snapshotBuffer.length = 0;
+    heard = null;
+    clockOffset = null; // simulated time pauses between matches
+    picked = null; // upgrades start over with each run
+    showScreen('game');
+    sendView();
     await updateMusic();
-    socket.emit('join', { roomId: `local-${selectedPlayers}-${selectedDiff}`, settings: { maxPlayers: selectedPlayers, difficulty: selectedDiff } });
+  }
+
+  // Invite links: ?room=<id>&code=<code>
+  const params = new URLSearchParams(location.search);
+  function openFromLink() {
+    if (params.get('replay')) startReplay(params.get('replay'));
+    else if (params.get('room') || params.get('code')) joinRoom(params.get('room'), params.get('code'));
+    else { refreshRooms(); refreshReplays(); }
+  }
+
+  // --------- Leaderboard ---------
+  let lbDifficulty = 'Normal';
+  let lbPlayerCount = 1;
+
+  function describeKills(byType) {
+    return Object.entries(byType).sort((a, b) => b[1] - a[1]).map(([t, n]) => `${n} ${bossTypes[t]?.name || t}`).join(', ');
+  }
+
+  function refreshLeaderboard() {
+    buildOptions(lbDiff, diffOpts, lbDifficulty, (v) => { lbDifficulty = v; refreshLeaderboard(); });
+    buildOptions(lbPlayers, playerOpts, lbPlayerCount, (v) => { lbPlayerCount = v; refreshLeaderboard(); });
+    lbPlayer.textContent = '';
+    const q = new URLSearchParams({ difficulty: lbDifficulty, players: lbPlayerCount });
+    fetch(`/api/leaderboard?${q}`).then((r) => r.json()).then((list) => {
+      lbList.innerHTML = '';
+      if (!list.length) { lbList.innerHTML = '<div class="hint">No runs recorded here yet</div>'; return; }
+      list.forEach((s, i) => {
+        const row = document.createElement('div');
+        row.className = 'list-item';
+        const name = document.createElement('button');
+        name.className = 'btn small';
+        name.textContent = `${i + 1}. ${s.name}`;
+        name.onclick = () => showPlayerTotals(s.name);
+        const info = document.createElement('span');
+        info.className = 'hint';
+        info.textContent = `${s.kills} kills - ${formatTime(s.survivedMs)} - ${s.mode}`;
+        row.append(name, info);
+        lbList.appendChild(row);
+      });
+    }).catch(() => {});
+  }
+
+  function showPlayerTotals(name) {
+    fetch(`/api/players/${encodeURIComponent(name)}`).then((r) => (r.ok ? r.json() : null)).then((t) => {
+      if (!t) { lbPlayer.textContent = `No games recorded for ${name}`; return; }
+      lbPlayer.textContent = `${t.name}: ${t.matches} matches, ${formatTime(t.timePlayedMs)} played, ${t.kills} kills (best ${t.bestKills}), ` +
+        `${t.damageDealt} damage, ${t.abilitiesUsed} abilities, ${t.powerupsCollected} powerups | ${describeKills(t.killsByType)}`;
+    }).catch(() => {});
+  }
+
+  btnLeaderboard.onclick = () => { showScreen('leaderboard'); refreshLeaderboard(); };
+  btnLbBack.onclick = () => showScreen('menu');
+
+  // --------- Replay viewer ---------
+  // The server re-runs the recorded match and streams it like a live one; we
+  // render it with a free camera and drive playback with replayControl.
+  let replay = null; // { info, tick, baseTime, baseAt, playing, speed, mode }
+  let scrubbing = false;
+
+  function formatTime(ms) { const secs = Math.floor(ms / 1000); return `${Math.floor(secs / 60)}:${String(secs % 60).padStart(2, '0')}`; }
+
+  function refreshReplays() {
+    fetch('/api/replays').then((r) => r.json()).then((list) => {
+      replayList.innerHTML = '';
+      if (!list.length) { replayList.innerHTML = '<div class="hint">No recorded matches yet</div>'; return; }
+      for (const r of list) {
+        const row = document.createElement('div');
+        row.className = 'list-item';
+        const info = document.createElement('span');
+        info.textContent = `${r.name} - ${r.players.join(', ')} - ${r.settings.difficulty}, ${r.settings.mode}, ${mapName(r.settings.map)} - ${formatTime(r.durationMs)}`;
+        const b = document.createElement('button');
+        b.className = 'btn small';
+        b.textContent = 'Watch';
+        b.onclick = () => startReplay(r.id);
+        row.append(info, b);
+        replayList.appendChild(row);
+      }
+    }).catch(() => {});
+  }
+  btnReplays.onclick = refreshReplays;
+
+  function startReplay(id) { socket.emit('watchReplay', { id, proto: wireProto }); }
+
+  socket.on('replayInfo', (info) => {
+    replay = { info, tick: 0, baseTime: 0, baseAt: Date.now(), playing: true, speed: 1, mode: 'resim' };
+    world = info.world;
+    bossTypes = info.bosses || bossTypes;
+    setRegistry(info);
+    state.settings = info.settings;
+    resetWatchCam();
+    rpSeek.max = String(info.totalTicks);
+    showScreen('game');
+    replayBar.style.display = 'flex';
+  });
+  socket.on('replayStatus', (st) => {
+    if (!replay) return;
+    Object.assign(replay, { tick: st.tick, baseTime: st.time, baseAt: Date.now(), playing: st.playing, speed: st.speed, mode: st.mode });
+    rpPlay.textContent = st.playing ? 'Pause' : 'Play';
+    if (!scrubbing) rpSeek.value = String(st.tick);
+    const tickMs = 1000 / replay.info.tickRate;
+    rpTime.textContent = `${formatTime(st.tick * tickMs)} / ${formatTime(replay.info.totalTicks * tickMs)}` + (st.mode === 'keyframes' ? ' (keyframes)' : '');
+  });
+  // Time jumped: drop everything buffered for the old position
+  socket.on('replaySeek', () => { snapshotBuffer.length = 0; baselines.clear(); heard = null; });
+  socket.on('replayError', (msg) => { alert(msg?.reason || 'Replay unavailable'); showScreen('menu'); refreshReplays(); });
+
+  rpPlay.onclick = () => {
+    if (!replay) return;
+    // Play at the end starts over
+    if (!replay.playing && replay.tick >= replay.info.totalTicks) socket.emit('replayControl', { seek: 0 });
+    socket.emit('replayControl', { playing: !replay.playing });
   };
+  // Blur so WASD goes back to the camera
+  rpSpeed.onchange = () => { rpSpeed.blur(); socket.emit('replayControl', { speed: Number(rpSpeed.value) }); };
+  rpSeek.oninput = () => { scrubbing = true; };
+  rpSeek.onchange = () => { scrubbing = false; rpSeek.blur(); socket.emit('replayControl', { seek: Number(rpSeek.value) }); };
+  rpExit.onclick = () => { location.href = location.pathname; };
+
+  // --------- Watch camera ---------
+  // Spectators and replay viewers have no player of their own: the camera is
+  // either free (WASD/arrows or drag to pan) or follows a player (Tab cycles).
+  let spectating = false;
+  const freeCam = { x: 0, y: 0 };
+  let followId = null;
+  let lastCamSentAt = 0;
+
+  function watching() { return spectating || !!replay; }
+
+  function resetWatchCam() { freeCam.x = world.width / 2; freeCam.y = world.height / 2; followId = null; }
+
+  function followed(view) { return followId ? view.players.find((p) => p.id === followId) || null : null; }
+
+  function cycleFollow() {
+    const ids = state.players.map((p) => p.id);
+    followId = ids.length ? ids[(ids.indexOf(followId) + 1) % ids.length] : null;
+  }
+
+  // Panning drops out of follow mode from wherever the followed player is
+  function unfollow() {
+    const p = followed(state);
+    if (p) { freeCam.x = p.x; freeCam.y = p.y; }
+    followId = null;
+  }
+
+  function panFreeCam(dx, dy) {
+    if (followId) unfollow();
+    const halfW = canvas.clientWidth / 2, halfH = canvas.clientHeight / 2;
+    freeCam.x = Math.max(halfW, Math.min(world.width - halfW, freeCam.x + dx));
+    freeCam.y = Math.max(halfH, Math.min(world.height - halfH, freeCam.y + dy));
+  }
+
+  let dragFrom = null;
+  canvas.addEventListener('mousedown', (e) => { if (watching()) dragFrom = { x: e.clientX, y: e.clientY }; });
+  window.addEventListener('mousemove', (e) => {
+    if (!dragFrom) return;
+    panFreeCam(dragFrom.x - e.clientX, dragFrom.y - e.clientY);
+    dragFrom = { x: e.clientX, y: e.clientY };
+  });
+  window.addEventListener('mouseup', () => { dragFrom = null; });
+
+  function moveFreeCam(dt) {
+    if (input.mx || input.my) panFreeCam(input.mx * 700 * dt, input.my * 700 * dt);
+  }
+
+  // --------- Session resume ---------
+  // The token lives in sessionStorage so each tab keeps its own player across reloads
+  function loadSession() { try { return JSON.parse(sessionStorage.getItem('session') || 'null'); } catch (_) { return null; } }
+  function saveSession(v) { try { if (v) sessionStorage.setItem('session', JSON.stringify(v)); else sessionStorage.removeItem('session'); } catch (_) {} }
+
+  let connectedOnce = false;
+  socket.on('connect', () => {
+    const session = loadSession();
+    if (spectating && lastJoin) joinRoom(lastJoin.roomId, lastJoin.code, true);
+    else if (replay) {
+      // Pick the replay up where we were
+      const tick = replay.tick;
+      startReplay(replay.info.id);
+      socket.once('replayInfo', () => socket.emit('replayControl', { seek: tick }));
+    }
+    else if (session) socket.emit('resume', { token: session.token, proto: wireProto });
+    else if (!connectedOnce) openFromLink();
+    connectedOnce = true;
+  });
+  socket.on('disconnect', (reason) => {
+    // socket.io retries on its own unless we closed the connection ourselves
+    if (myId && reason !== 'io client disconnect') reconnecting.style.display = 'grid';
+  });
+  // The server cut us off for flooding it or sending garbage; no point resuming
+  socket.on('kicked', (msg) => {
+    saveSession(null);
+    alert(`Disconnected by the server: ${msg?.reason || 'too many invalid messages'}`);
+    location.href = location.pathname;
+  });
+  socket.on('resumeFailed', () => {
+    saveSession(null);
+    reconnecting.style.display = 'none';
+    if (!myId) { openFromLink(); return; }
+    alert('Connection lost and your session expired');
+    location.href = location.pathname;
+  });
 
   function resize() {
     const dpr = window.devicePixelRatio || 1;
@@ -163,70 +572,597 @@
 
   socket.on('init', (data) => {
     myId = data.id;
+    spectating = !!data.spectator;
+    if (!spectating) saveSession({ token: data.token, roomId: data.roomId });
+    reconnecting.style.display = 'none';
+    baselines.clear(); // the server starts a fresh delta stream per connection
     world = data.world;
     state.settings = data.settings || state.settings;
+    bossTypes = data.bosses || bossTypes;
+    setRegistry(data);
+    if (data.difficulties) {
+      difficultyProfiles = data.difficulties;
+      try { localStorage.setItem('difficultyProfiles', JSON.stringify(difficultyProfiles)); } catch (_) {}
+      build();
+    }
+    if (spectating) resetWatchCam();
+    if (data.phase === 'playing') startGame();
+    else showScreen('lobby');
   });
   socket.on('joinDenied', (msg) => {
-    alert(msg?.reason || 'Join denied');
-    joined = false; menu.style.display = 'grid'; ui.style.display = 'none';
+    if (msg?.canSpectate && lastJoin && confirm(`${msg.reason}. Watch as a spectator instead?`)) { joinRoom(lastJoin.roomId, lastJoin.code, true); return; }
+    if (!msg?.canSpectate) alert(msg?.reason || 'Join denied');
+    showScreen('menu');
+    refreshRooms();
+  });
+  socket.on('roomClosed', () => {
+    alert('Everyone left, the room was closed');
+    location.href = location.pathname;
   });
+  socket.on('lobby', (info) => {
+    renderLobby(info);
+    // Stay on the game-over screen until the player dismisses it
+    if (!joined && gameOver.style.display === 'none') showScreen('lobby');
+  });
+  socket.on('matchStart', () => startGame());
 
-  socket.on('state', (s) => {
-    Object.assign(state, s);
-    world = s.world;
+  socket.on('gameOver', (data) => {
+    const secs = Math.round((data?.survivedMs || 0) / 1000);
+    gameOverStats.innerHTML = `Survived ${Math.floor(secs / 60)}:${String(secs % 60).padStart(2, '0')}<br>`;
+    for (const p of data?.players || []) {
+      const line = document.createElement('div');
+      line.innerHTML = `<span style="color:${p.color}">&#9679;</span> `;
+      line.append(`${p.id === myId ? 'You' : p.name}: level ${p.level || 1}, ${p.kills} kills, ${p.stats.damageDealt} damage, ` +
+        `${p.stats.abilitiesUsed} abilities, ${p.stats.powerupsCollected} powerups`);
+      const kills = document.createElement('div');
+      kills.className = 'hint';
+      kills.textContent = describeKills(p.stats.killsByType);
+      gameOverStats.append(line, kills);
+    }
+    joined = false;
+    gameOver.style.display = 'grid';
+    updateMusic();
   });
 
-  // Input handling
-  const keyDown = new Set();
-  const keyMap = {
-    KeyW: 'up', ArrowUp: 'up',
-    KeyS: 'down', ArrowDown: 'down',
-    KeyA: 'left', ArrowLeft: 'left',
-    KeyD: 'right', ArrowRight: 'right'
-  };
+  // Centered banner for wave announcements
+  let banner = null;
+  function showBanner(text, sub, color, ms = 2600) { banner = { text, sub, color, until: performance.now() + ms, ms }; }
+  socket.on('waveStart', (d) => {
+    if (d.boss) showBanner(`Wave ${d.wave}`, `BOSS WAVE - ${d.bossName}`, '#ff6b6b', 3200);
+    else showBanner(`Wave ${d.wave}`, `${d.budget} monsters incoming`, '#e9eef7');
+  });
+  socket.on('bossSpawn', (d) => { if (state.settings.mode !== 'waves') showBanner(d.name, 'A boss has appeared', '#ff6b6b', 3000); });
+  socket.on('bossPhase', () => showBanner((state.boss && bossTypes[state.boss.bossType]?.name) || 'Boss', 'is enraged!', '#ff8f40', 1800));
+  socket.on('bossDefeated', (d) => showBanner(`${d.name} defeated`, 'Loot dropped', '#ffd166', 2600));
+  socket.on('waveEnd', (d) => showBanner(`Wave ${d.wave} cleared`, `Next wave in ${Math.round(d.breakMs / 1000)}s - grab the powerups`, '#7bed9f'));
+  // --------- Hits and kills ---------
+  // Damage numbers float up from where a hit landed, the target flashes, and
+  // kills scroll through a feed in the corner.
+  const HIT_FLASH_MS = 120;
+  const FLOATER_MS = 700;
+  const KILL_FEED_MS = 5000;
+  const floaters = []; // { x, y, text, color, at }
+  const hitFlashes = new Map(); // entity id -> flash end
+  const killFeed = []; // { text, at }, newest last
 
-  function handleAbilityKey(code) {
-    for (const a of ABILITIES) {
-      if (a.codes.includes(code)) {
-        useAbility(a.type);
-        return true;
+  function playerName(id) {
+    if (id === myId) return 'You';
+    return state.players.find((p) => p.id === id)?.name || 'Someone';
+  }
+
+  function victimName(k) {
+    if (k.type === 'boss') return bossTypes[k.bossType]?.name || 'the boss';
+    return `${/^[aeiou]/.test(k.type) ? 'an' : 'a'} ${k.type}`;
+  }
+
+  socket.on('hits', (hits) => {
+    const now = performance.now();
+    for (const h of hits) {
+      sfx.play('hit', h);
+      hitFlashes.set(h.id, now + HIT_FLASH_MS);
+      floaters.push({ x: h.x + (Math.random() - 0.5) * 16, y: h.y, text: String(h.amount), color: h.by === myId ? '#ffd166' : '#e9eef7', at: now });
+    }
+    if (floaters.length > 200) floaters.splice(0, floaters.length - 200);
+  });
+  socket.on('kill', (k) => {
+    sfx.play('kill', k);
+    if (!k.by) return;
+    killFeed.push({ text: `${playerName(k.by)} killed ${victimName(k)} (${k.source})`, at: performance.now() });
+    if (killFeed.length > 5) killFeed.shift();
+  });
+
+  // --------- Sound effects ---------
+  // Shots, explosions, beams and dashes have no events of their own: they
+  // sound when their entity first shows up in a snapshot.
+  const EFFECT_SOUNDS = { explosion: 'explosion', beam: 'beam', dash: 'dash' };
+  let heard = null; // bullet and effect ids from the last snapshot; null after a (re)start so the first one stays quiet
+
+  function soundNewEntities(s) {
+    const ids = new Set();
+    for (const b of s.bullets) {
+      ids.add(b.id);
+      if (heard && !heard.has(b.id)) sfx.play('shoot', b);
+    }
+    for (const e of s.effects) {
+      ids.add(e.id);
+      if (heard && !heard.has(e.id) && EFFECT_SOUNDS[e.type]) sfx.play(EFFECT_SOUNDS[e.type], e.x1 !== undefined ? { x: e.x1, y: e.y1 } : e);
+    }
+    heard = ids;
+  }
+
+  function playerAt(id) { return state.players.find((p) => p.id === id); }
+  socket.on('pickup', (d) => sfx.play('pickup', d));
+  socket.on('playerDown', (d) => sfx.play('down', playerAt(d.id)));
+  socket.on('playerRevived', (d) => sfx.play('revive', playerAt(d.id)));
+  socket.on('bossSpawn', () => sfx.play('boss'));
+  socket.on('levelUp', (d) => {
+    if (d.id !== myId) return;
+    sfx.play('levelUp');
+    showBanner(`Level ${d.level}`, touchMode ? 'Tap an upgrade to take it' : 'Press 1, 2 or 3 (or click) to take an upgrade', '#7bed9f', 1800);
+  });
+
+  function drawHitFlash(id, x, y, r) {
+    const until = hitFlashes.get(id);
+    if (!until) return;
+    const left = until - performance.now();
+    if (left <= 0) { hitFlashes.delete(id); return; }
+    ctx.globalAlpha = 0.7 * left / HIT_FLASH_MS; drawCircle(x, y, r, '#ffffff'); ctx.globalAlpha = 1;
+  }
+
+  function drawFloaters(cam) {
+    const now = performance.now();
+    while (floaters.length && now - floaters[0].at > FLOATER_MS) floaters.shift();
+    ctx.font = '700 13px system-ui, sans-serif'; ctx.textAlign = 'center'; ctx.textBaseline = 'middle';
+    for (const f of floaters) {
+      const t = (now - f.at) / FLOATER_MS;
+      ctx.globalAlpha = 1 - t;
+      ctx.fillStyle = '#0009'; ctx.fillText(f.text, f.x - cam.x + 1, f.y - cam.y - 14 - t * 30 + 1);
+      ctx.fillStyle = f.color; ctx.fillText(f.text, f.x - cam.x, f.y - cam.y - 14 - t * 30);
+    }
+    ctx.globalAlpha = 1;
+  }
+
+  function drawKillFeed() {
+    const now = performance.now();
+    while (killFeed.length && now - killFeed[0].at > KILL_FEED_MS) killFeed.shift();
+    ctx.font = '13px system-ui, sans-serif'; ctx.textAlign = 'left'; ctx.textBaseline = 'middle';
+    killFeed.forEach((k, i) => {
+      const y = canvas.clientHeight - 24 - (touchMode ? stickRadius() * 2 + 24 : 0) - (killFeed.length - 1 - i) * 22;
+      const w = ctx.measureText(k.text).width + 16;
+      ctx.globalAlpha = Math.min(1, (KILL_FEED_MS - (now - k.at)) / 500);
+      ctx.fillStyle = '#0f1524cc'; ctx.fillRect(10, y - 10, w, 20);
+      ctx.fillStyle = '#e9eef7'; ctx.fillText(k.text, 18, y);
+    });
+    ctx.globalAlpha = 1;
+  }
+
+  btnToLobby.onclick = () => { gameOver.style.display = 'none'; showScreen('lobby'); };
+  btnMenu.onclick = leaveRoom;
+
+  // State arrives as deltas against a snapshot we acked earlier (base 0 = full).
+  // Rebuilt snapshots are kept by seq until the server moves past them.
+  const ENTITY_KEYS = Protocol.ENTITY_KEYS;
+  const baselines = new Map();
+
+  function applyDelta(msg) {
+    const base = msg.base ? baselines.get(msg.base) : null;
+    if (msg.base && !base) return null; // baseline already dropped; wait for one built on a newer ack
+    const full = { serverTime: msg.serverTime, boss: msg.boss, wave: msg.wave };
+    for (const key of ENTITY_KEYS) {
+      const byId = new Map();
+      if (base) for (const e of base[key]) byId.set(e.id, e);
+      const d = msg[key];
+      if (d) {
+        for (const id of d.rem) byId.delete(id);
+        for (const u of d.upd) byId.set(u.id, { ...byId.get(u.id), ...u });
       }
+      full[key] = [...byId.values()];
     }
-    return false;
+    baselines.set(msg.seq, full);
+    for (const seq of baselines.keys()) if (seq < msg.base) baselines.delete(seq);
+    return full;
+  }
+
+  function sendView(center) { socket.emit('view', { w: canvas.clientWidth, h: canvas.clientHeight, ...center }); }
+  // Dragging a window edge fires resize every frame; only the size it settles on matters
+  let resizeTimer = null;
+  window.addEventListener('resize', () => {
+    clearTimeout(resizeTimer);
+    resizeTimer = setTimeout(() => { if (joined) sendView(); }, 200);
+  });
+
+  socket.on('state', (raw) => {
+    let msg = raw;
+    if (raw instanceof ArrayBuffer) {
+      try { msg = Protocol.decodeState(raw); } catch (err) { console.warn(err.message); return; }
+    }
+    const full = applyDelta(msg);
+    if (!full) return;
+    socket.emit('ack', msg.seq);
+    // Entities are shared with the baselines; prediction mutates our own player, so copy it
+    const s = { ...full, players: full.players.map((p) => (p.id === myId ? { ...p } : p)) };
+    Object.assign(state, s);
+    const offset = s.serverTime - Date.now();
+    clockOffset = clockOffset === null ? offset : clockOffset + (offset - clockOffset) * 0.1;
+    bufferSnapshot(s);
+    reconcile();
+    soundNewEntities(s);
+  });
+
+  // --------- Controls ---------
+  // Each action has three binding slots, each a key ("KeyW"), a mouse button
+  // ("Mouse0") or a gamepad button ("Pad7", standard mapping). Bindings are
+  // saved in localStorage and edited on the controls screen. A gamepad also
+  // gets twin-stick movement and aiming with analog magnitude.
+  const BASE_ACTIONS = [
+    { id: 'up', label: 'Move up' }, { id: 'down', label: 'Move down' }, { id: 'left', label: 'Move left' }, { id: 'right', label: 'Move right' },
+    { id: 'shoot', label: 'Shoot' },
+  ];
+  let ACTIONS = BASE_ACTIONS; // plus one per ability once the registry arrives
+  const DEFAULT_BINDINGS = {
+    up: ['KeyW', 'ArrowUp', 'Pad12'],
+    down: ['KeyS', 'ArrowDown', 'Pad13'],
+    left: ['KeyA', 'ArrowLeft', 'Pad14'],
+    right: ['KeyD', 'ArrowRight', 'Pad15'],
+    shoot: ['Mouse0', 'Pad7', 'Pad5'],
+    burst: ['KeyQ', null, 'Pad2'],
+    dash: ['ShiftLeft', 'ShiftRight', 'Pad0'],
+    grenade: ['KeyE', null, 'Pad1'],
+    beam: ['KeyR', null, 'Pad3'],
+  }; // keyed by action id, which for abilities is the registry's type; new abilities start unbound
+  const PAD_BUTTONS = ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'LS', 'RS', 'Up', 'Down', 'Left', 'Right'];
+  const KEY_NAMES = { ArrowUp: 'Up', ArrowDown: 'Down', ArrowLeft: 'Left', ArrowRight: 'Right', ShiftLeft: 'Shift', ShiftRight: 'RShift', ControlLeft: 'Ctrl', ControlRight: 'RCtrl', AltLeft: 'Alt', AltRight: 'RAlt' };
+  const STICK_DEADZONE = 0.2;
+
+  function defaultBindings(id) { return (DEFAULT_BINDINGS[id] || [null, null, null]).slice(); }
+
+  // Saved slots for abilities not known yet are kept, so saving can't drop them
+  function loadBindings() {
+    let saved = null;
+    try { saved = JSON.parse(localStorage.getItem('bindings') || 'null'); } catch (_) {}
+    const b = saved && typeof saved === 'object' ? { ...saved } : {};
+    for (const a of ACTIONS) b[a.id] = Array.isArray(saved?.[a.id]) ? [0, 1, 2].map((i) => saved[a.id][i] || null) : defaultBindings(a.id);
+    return b;
+  }
+  let bindings = loadBindings();
+
+  function setRegistry(reg) {
+    if (!reg?.abilities) return;
+    ABILITIES = Object.entries(reg.abilities).map(([type, a]) => ({ type, ...a }));
+    powerupTypes = reg.powerups || {};
+    Protocol.setEnum('powerup', Object.keys(powerupTypes)); // the server numbers powerups in registry order
+    upgradeTypes = reg.upgrades || {};
+    ACTIONS = [...BASE_ACTIONS, ...ABILITIES.map((a) => ({ id: a.type, label: a.label }))];
+    bindings = loadBindings();
+    renderControls();
+  }
+  fetch('/api/registry').then((r) => r.json()).then(setRegistry).catch(() => {});
+  function saveBindings() { try { localStorage.setItem('bindings', JSON.stringify(bindings)); } catch (_) {} }
+
+  function bindingLabel(code) {
+    if (!code) return '-';
+    if (code.startsWith('Pad')) return `Pad ${PAD_BUTTONS[code.slice(3)] || code.slice(3)}`;
+    if (code.startsWith('Mouse')) return ['Click', 'Middle', 'RClick'][code.slice(5)] || `Mouse ${code.slice(5)}`;
+    return KEY_NAMES[code] || code.replace(/^(Key|Digit)/, '');
+  }
+
+  function actionFor(code) { return ACTIONS.find((a) => bindings[a.id].includes(code))?.id || null; }
+
+  const held = new Set(); // keys and mouse buttons currently down
+  let padHeld = new Set(); // gamepad buttons down at the last poll
+  let aimByStick = false; // a gamepad or touch stick aims until the mouse moves again
+  let capturing = null; // { action, slot } while the controls screen waits for an input
+
+  function isDown(action) { return bindings[action].some((c) => c && (held.has(c) || padHeld.has(c))); }
+
+  // Abilities fire on the press, not while held
+  function press(code) {
+    const action = actionFor(code);
+    if (ABILITIES.some((a) => a.type === action)) useAbility(action);
+    return !!action;
   }
 
+  function typing(e) { return /^(INPUT|SELECT|TEXTAREA)$/.test(e.target.tagName); }
+
   window.addEventListener('keydown', (e) => {
-    keyDown.add(e.code);
-    const k = keyMap[e.code];
-    if (k) { input[k] = true; sendInput(); e.preventDefault(); }
-    if (handleAbilityKey(e.code)) e.preventDefault();
+    if (typing(e)) return;
+    if (watching() && (e.code === 'Tab' || e.code === 'KeyF')) { cycleFollow(); e.preventDefault(); return; }
+    if (spectating && joined && e.code === 'Escape') { leaveRoom(); return; }
+    const pick = /^(Digit|Numpad)([1-9])$/.exec(e.code);
+    if (pick && !actionFor(e.code) && pickUpgrade(pick[2] - 1)) { e.preventDefault(); return; }
+    const fresh = !held.has(e.code);
+    held.add(e.code);
+    if (actionFor(e.code)) { e.preventDefault(); if (fresh) press(e.code); }
   });
   window.addEventListener('keyup', (e) => {
-    keyDown.delete(e.code);
-    const k = keyMap[e.code];
-    if (k) { input[k] = false; sendInput(); e.preventDefault(); }
+    held.delete(e.code);
+    if (actionFor(e.code)) e.preventDefault();
   });
+  window.addEventListener('blur', () => held.clear());
 
-  canvas.addEventListener('mousedown', () => { input.shooting = true; sendInput(); });
-  window.addEventListener('mouseup', () => { input.shooting = false; sendInput(); });
+  canvas.addEventListener('mousedown', (e) => {
+    if (e.button === 0 && pickUpgrade(upgradeAt(e.offsetX, e.offsetY))) return;
+    held.add(`Mouse${e.button}`); press(`Mouse${e.button}`);
+  });
+  window.addEventListener('mouseup', (e) => { held.delete(`Mouse${e.button}`); });
+  canvas.addEventListener('contextmenu', (e) => e.preventDefault()); // right click can be bound
   canvas.addEventListener('mousemove', (e) => {
     const rect = canvas.getBoundingClientRect();
     input.mouseX = e.clientX - rect.left;
     input.mouseY = e.clientY - rect.top;
+    aimByStick = false;
+  });
+
+  // Stick position with the deadzone cut out and the rest stretched back to 0..1
+  function stick(pad, ix, iy) {
+    const x = pad.axes[ix] || 0, y = pad.axes[iy] || 0;
+    const len = Math.hypot(x, y);
+    if (len < STICK_DEADZONE) return null;
+    const k = Math.min(1, (len - STICK_DEADZONE) / (1 - STICK_DEADZONE)) / len;
+    return { x: x * k, y: y * k };
+  }
+
+  function pollGamepad() {
+    const pad = [...(navigator.getGamepads ? navigator.getGamepads() : [])].find((g) => g && g.connected) || null;
+    const down = new Set();
+    if (pad) pad.buttons.forEach((b, i) => { if (b.pressed || b.value > 0.5) down.add(`Pad${i}`); });
+    for (const code of down) {
+      if (padHeld.has(code)) continue;
+      if (capturing) bind(code); else press(code);
+    }
+    padHeld = down;
+    return pad;
+  }
+
+  // Turns bindings and sticks into `input`, once per input sample
+  function pollControls() {
+    const pad = pollGamepad();
+    for (const dir of ['up', 'down', 'left', 'right']) input[dir] = isDown(dir);
+    input.shooting = isDown('shoot');
+    const move = pad && stick(pad, 0, 1);
+    // On the wire's grid, so the server replays exactly what we predicted
+    const q = (v) => Math.round(v * Protocol.MOVE_SCALE) / Protocol.MOVE_SCALE;
+    input.mx = move ? q(move.x) : (input.right ? 1 : 0) - (input.left ? 1 : 0);
+    input.my = move ? q(move.y) : (input.down ? 1 : 0) - (input.up ? 1 : 0);
+    const aim = pad && stick(pad, 2, 3);
+    if (aim) { aimByStick = true; input.angle = Math.atan2(aim.y, aim.x); }
+    pollTouch(q);
+  }
+
+  // --------- Touch controls ---------
+  // Two floating sticks: a finger on the left half moves, one on the right half
+  // aims and fires while held. Ability buttons are the ability bar itself.
+  // Turns on for coarse pointers, or as soon as the canvas is touched.
+  let touchMode = matchMedia('(pointer: coarse)').matches;
+  const sticks = { move: null, aim: null }; // { pointerId, ox, oy, x, y } per finger
+  const TOUCH_DEADZONE = 0.15;
+
+  function stickRadius() { return Math.max(48, Math.min(80, Math.min(canvas.clientWidth, canvas.clientHeight) * 0.12)); }
+
+  // Finger offset from where it landed, as a vector of length 0..1
+  function touchVector(st) {
+    const R = stickRadius();
+    const dx = st.x - st.ox, dy = st.y - st.oy;
+    const k = 1 / Math.max(R, Math.hypot(dx, dy));
+    return { x: dx * k, y: dy * k, len: Math.min(1, Math.hypot(dx, dy) / R) };
+  }
+
+  function pollTouch(q) {
+    const mv = sticks.move && touchVector(sticks.move);
+    if (mv && mv.len > TOUCH_DEADZONE) { input.mx = q(mv.x); input.my = q(mv.y); }
+    const am = sticks.aim && touchVector(sticks.aim);
+    if (!am) return;
+    input.shooting = true;
+    if (am.len > TOUCH_DEADZONE) { aimByStick = true; input.angle = Math.atan2(am.y, am.x); }
+  }
+
+  // Stops the emulated mouse events a tap would otherwise also send
+  canvas.addEventListener('touchstart', (e) => e.preventDefault(), { passive: false });
+  canvas.addEventListener('pointerdown', (e) => {
+    if (e.pointerType !== 'touch') return;
+    touchMode = true;
+    if (pickUpgrade(upgradeAt(e.offsetX, e.offsetY))) return;
+    const i = abilityAt(e.offsetX, e.offsetY);
+    if (i >= 0) { useAbility(ABILITIES[i].type); return; }
+    const side = e.offsetX < canvas.clientWidth / 2 ? 'move' : 'aim';
+    if (sticks[side]) return;
+    sticks[side] = { pointerId: e.pointerId, ox: e.offsetX, oy: e.offsetY, x: e.offsetX, y: e.offsetY };
+    canvas.setPointerCapture(e.pointerId);
   });
+  canvas.addEventListener('pointermove', (e) => {
+    for (const st of Object.values(sticks)) if (st && st.pointerId === e.pointerId) { st.x = e.offsetX; st.y = e.offsetY; }
+  });
+  function releaseStick(e) {
+    for (const side in sticks) if (sticks[side]?.pointerId === e.pointerId) sticks[side] = null;
+  }
+  canvas.addEventListener('pointerup', releaseStick);
+  canvas.addEventListener('pointercancel', releaseStick);
+
+  function drawTouchSticks() {
+    const R = stickRadius(), w = canvas.clientWidth, h = canvas.clientHeight, m = R + 24;
+    // Idle sticks show where to put a thumb
+    const idle = { move: { ox: m, oy: h - m }, aim: { ox: w - m, oy: h - m } };
+    for (const side of ['move', 'aim']) {
+      const st = sticks[side] || idle[side];
+      const v = sticks[side] ? touchVector(st) : { x: 0, y: 0 };
+      ctx.globalAlpha = sticks[side] ? 0.5 : 0.25;
+      strokeCircle(st.ox, st.oy, R, '#cfe7ff', 2);
+      drawCircle(st.ox + v.x * R, st.oy + v.y * R, R * 0.4, side === 'aim' ? '#ff9f80' : '#cfe7ff');
+      ctx.globalAlpha = 1;
+    }
+  }
+
+  // --------- Controls screen ---------
+  function renderControls() {
+    ctlList.innerHTML = '';
+    for (const a of ACTIONS) {
+      const row = document.createElement('div');
+      row.className = 'list-item';
+      const name = document.createElement('span');
+      name.textContent = a.label;
+      const slots = document.createElement('span');
+      slots.className = 'row';
+      bindings[a.id].forEach((code, slot) => {
+        const b = document.createElement('button');
+        b.className = 'btn small' + (capturing?.action === a.id && capturing.slot === slot ? ' active' : '');
+        b.textContent = b.classList.contains('active') ? 'Press...' : bindingLabel(code);
+        b.style.minWidth = '72px';
+        b.onclick = () => { capturing = { action: a.id, slot }; renderControls(); };
+        slots.appendChild(b);
+      });
+      row.append(name, slots);
+      ctlList.appendChild(row);
+    }
+  }
+
+  // One input does one thing: binding it here unbinds it everywhere else
+  function bind(code) {
+    const { action, slot } = capturing;
+    capturing = null;
+    if (code) for (const id in bindings) bindings[id] = bindings[id].map((c) => (c === code ? null : c));
+    bindings[action][slot] = code;
+    saveBindings();
+    renderControls();
+  }
+
+  // While capturing, the next key or click is the binding (Escape clears the slot)
+  window.addEventListener('keydown', (e) => {
+    if (!capturing) return;
+    e.preventDefault(); e.stopImmediatePropagation();
+    bind(e.code === 'Escape' ? null : e.code);
+  }, true);
+  window.addEventListener('mousedown', (e) => {
+    if (!capturing || e.target.closest('#ctlList button')) return;
+    e.preventDefault(); e.stopImmediatePropagation();
+    bind(`Mouse${e.button}`);
+  }, true);
+
+  btnControls.onclick = () => { showScreen('controls'); renderControls(); };
+  btnCtlReset.onclick = () => {
+    capturing = null;
+    for (const a of ACTIONS) bindings[a.id] = defaultBindings(a.id);
+    saveBindings();
+    renderControls();
+  };
+  btnCtlBack.onclick = () => { capturing = null; showScreen('menu'); };
 
   function useAbility(type) { socket.emit('ability', { type }); }
 
-  function sendInput() { socket.emit('input', input); }
+  // --------- Prediction / reconciliation ---------
+  // Inputs are sampled at a fixed rate, applied locally right away and sent with a
+  // sequence number. Each snapshot carries the last sequence the server consumed
+  // (`ack`); we restart from the server position and replay everything newer.
+  const INPUT_RATE = 60;
+  let inputSeq = 0;
+  let lastSampleAt = performance.now();
+  const pendingInputs = [];
+  let predicted = null; // local player position, ahead of the server
+  const correction = { x: 0, y: 0 }; // leftover reconciliation error, faded out while rendering
+  let clockOffset = null; // serverTime - Date.now(), smoothed
 
-  function getMe() { return state.players.find((p) => p.id === myId) || null; }
+  function serverNow() {
+    // Replays run on the playback clock, which may be paused or sped up
+    if (replay) return replay.baseTime + (replay.playing ? (Date.now() - replay.baseAt) * replay.speed : 0);
+    return Date.now() + (clockOffset || 0);
+  }
 
-  function getCamera() {
+  function movementBody(me, x, y) { return { x, y, radius: me.r, buffs: { speed: me.buffs.speed }, dashingUntil: me.dashingUntil || 0 }; }
+
+  function applyPrediction() {
+    const me = getMe(); if (!me || !predicted) return;
+    me.x = predicted.x + correction.x; me.y = predicted.y + correction.y;
+  }
+
+  function sampleInput() {
+    const t = performance.now();
+    // Rounded to the wire's 0.1 ms grid so the server replays exactly what we predicted
+    const dt = Math.round(Math.min(SharedMovement.MAX_INPUT_DT, (t - lastSampleAt) / 1000) * Protocol.DT_SCALE) / Protocol.DT_SCALE;
+    lastSampleAt = t;
+    pollControls();
+    if (!joined || !myId || !socket.connected) return;
+    const msg = { seq: ++inputSeq, dt, up: input.up, down: input.down, left: input.left, right: input.right, shooting: input.shooting, angle: input.angle, mx: input.mx, my: input.my };
+    socket.emit('input', wireProto === 'json' ? msg : Protocol.encodeInput(msg));
+    pendingInputs.push(msg);
+    if (pendingInputs.length > 240) pendingInputs.shift();
     const me = getMe();
+    if (me && predicted && !me.downed) {
+      const body = movementBody(me, predicted.x, predicted.y);
+      SharedMovement.stepMovement(body, msg, dt, serverNow(), world);
+      predicted.x = body.x; predicted.y = body.y;
+      applyPrediction();
+    }
+  }
+
+  // --------- Snapshot interpolation ---------
+  // Remote entities are drawn INTERP_DELAY_MS in the past, between the two buffered
+  // snapshots around that time (matched by id). When packets run late we keep
+  // moving them along their last velocity for up to MAX_EXTRAPOLATE_MS.
+  const INTERP_DELAY_MS = 100;
+  const MAX_EXTRAPOLATE_MS = 250;
+  const SNAPSHOT_BUFFER_MS = 1000;
+  const INTERP_KEYS = ['players', 'monsters', 'bullets', 'enemyBullets', 'neutrals', 'orbs', 'bombs'];
+  const snapshotBuffer = []; // oldest first
+
+  function bufferSnapshot(s) {
+    const last = snapshotBuffer[snapshotBuffer.length - 1];
+    if (last && s.serverTime <= last.serverTime) return;
+    snapshotBuffer.push(s);
+    while (snapshotBuffer.length > 2 && snapshotBuffer[0].serverTime < s.serverTime - SNAPSHOT_BUFFER_MS) snapshotBuffer.shift();
+  }
+
+  function lerpEntities(listA, listB, t) {
+    const prevById = new Map();
+    for (const e of listA) prevById.set(e.id, e);
+    return listB.map((e) => {
+      const prev = prevById.get(e.id);
+      if (!prev) return e;
+      return { ...e, x: prev.x + (e.x - prev.x) * t, y: prev.y + (e.y - prev.y) * t };
+    });
+  }
+
+  function interpolatedView() {
+    const n = snapshotBuffer.length;
+    if (n < 2) return state;
+    // Keyframe playback only has a snapshot per keyframe interval to go between
+    const delay = !replay ? INTERP_DELAY_MS : replay.mode === 'keyframes' ? replay.info.keyframeMs : INTERP_DELAY_MS * replay.speed;
+    const renderTime = serverNow() - delay;
+    let a = snapshotBuffer[n - 2], b = snapshotBuffer[n - 1];
+    for (let i = 0; i < n - 1; i++) {
+      if (snapshotBuffer[i + 1].serverTime > renderTime) { a = snapshotBuffer[i]; b = snapshotBuffer[i + 1]; break; }
+    }
+    const span = b.serverTime - a.serverTime;
+    const t = Math.max(0, Math.min(1 + MAX_EXTRAPOLATE_MS / span, (renderTime - a.serverTime) / span));
+    const view = { ...state };
+    for (const key of INTERP_KEYS) view[key] = lerpEntities(a[key] || [], b[key] || [], t);
+    // The local player is predicted, not interpolated
+    const me = getMe();
+    view.players = view.players.filter((p) => p.id !== myId);
+    if (me) view.players.push(me);
+    return view;
+  }
+
+  function reconcile() {
+    const me = getMe();
+    if (!me) { predicted = null; return; }
+    while (pendingInputs.length && pendingInputs[0].seq <= (me.ack || 0)) pendingInputs.shift();
+    const body = movementBody(me, me.x, me.y);
+    if (!me.downed) for (const inp of pendingInputs) SharedMovement.stepMovement(body, inp, inp.dt, serverNow(), world);
+    if (predicted) {
+      correction.x += predicted.x - body.x; correction.y += predicted.y - body.y;
+      if (Math.hypot(correction.x, correction.y) > 80) { correction.x = 0; correction.y = 0; } // teleport-sized: snap
+    }
+    predicted = { x: body.x, y: body.y };
+    applyPrediction();
+  }
+
+  function getMe() { return state.players.find((p) => p.id === myId) || null; }
+
+  function getCamera(view) {
+    const target = watching() ? followed(view) || freeCam : getMe();
     const vw = canvas.clientWidth, vh = canvas.clientHeight;
     const halfW = vw / 2, halfH = vh / 2;
     let cx = world.width / 2, cy = world.height / 2;
-    if (me) { cx = Math.max(halfW, Math.min(world.width - halfW, me.x)); cy = Math.max(halfH, Math.min(world.height - halfH, me.y)); }
+    if (target) { cx = Math.max(halfW, Math.min(world.width - halfW, target.x)); cy = Math.max(halfH, Math.min(world.height - halfH, target.y)); }
     return { x: cx - halfW, y: cy - halfH };
   }
 
@@ -243,6 +1179,16 @@
     }
   }
 
+  function drawObstacles(cam) {
+    ctx.fillStyle = '#242d40'; ctx.strokeStyle = '#3a4866'; ctx.lineWidth = 2;
+    for (const o of world.obstacles || []) {
+      ctx.beginPath();
+      if (o.type === 'circle') ctx.arc(o.x - cam.x, o.y - cam.y, o.r, 0, Math.PI * 2);
+      else ctx.rect(o.x - cam.x, o.y - cam.y, o.w, o.h);
+      ctx.fill(); ctx.stroke();
+    }
+  }
+
   function drawCircle(x, y, r, color) { ctx.beginPath(); ctx.arc(x, y, r, 0, Math.PI * 2); ctx.fillStyle = color; ctx.fill(); }
   function strokeCircle(x, y, r, color, w=2) { ctx.beginPath(); ctx.arc(x, y, r, 0, Math.PI * 2); ctx.lineWidth = w; ctx.strokeStyle = color; ctx.stroke(); }
 
@@ -255,9 +1201,28 @@
 
   function drawPlayer(p, cam) {
     const x = p.x - cam.x, y = p.y - cam.y;
+    if (p.downed) {
+      ctx.globalAlpha = 0.45; drawCircle(x, y, p.r, p.color); ctx.globalAlpha = 1;
+      strokeCircle(x, y, p.r + 2, '#ff6b6b', 2);
+      // Revive ring fills while a teammate stands close
+      if (p.revive > 0) { ctx.beginPath(); ctx.arc(x, y, p.r + 8, -Math.PI / 2, -Math.PI / 2 + Math.PI * 2 * Math.min(1, p.revive)); ctx.lineWidth = 4; ctx.strokeStyle = '#7bed9f'; ctx.stroke(); }
+      ctx.fillStyle = '#ffb3b3'; ctx.font = '11px system-ui, sans-serif'; ctx.textAlign = 'center'; ctx.fillText(`${p.name} - DOWN`, x, y - p.r - 12);
+      return;
+    }
+    if (p.offline) {
+      ctx.globalAlpha = 0.35; drawCircle(x, y, p.r, p.color); ctx.globalAlpha = 1;
+      ctx.fillStyle = '#cdd'; ctx.font = '11px system-ui, sans-serif'; ctx.textAlign = 'center'; ctx.fillText(`${p.name} - RECONNECTING`, x, y - p.r - 12);
+      return;
+    }
+    // Blink while invulnerable after a hit
+    const blinking = (state.serverTime || 0) < (p.iFramesUntil || 0) && Math.floor(performance.now() / 90) % 2 === 0;
+    ctx.globalAlpha = blinking ? 0.5 : 1;
     drawCircle(x, y, p.r, p.color);
+    ctx.globalAlpha = 1;
     strokeCircle(x, y, p.r + 2, '#0008');
-    const me = getMe();
+    drawHealthBar(x, y - 6, p.r * 2.4, 4, p.hp / p.maxHp);
+    ctx.fillStyle = '#cfe7ff'; ctx.font = '11px system-ui, sans-serif'; ctx.textAlign = 'center'; ctx.textBaseline = 'alphabetic';
+    ctx.fillText(p.name, x, y - 30);
     if (p.id === myId) {
       ctx.beginPath(); ctx.moveTo(x, y); const len = 20; ctx.lineTo(x + Math.cos(input.angle) * len, y + Math.sin(input.angle) * len); ctx.strokeStyle = '#bdf'; ctx.lineWidth = 2; ctx.stroke();
     }
@@ -272,21 +1237,55 @@
       case 'splitter': drawTri(x, y, m.r, '#4cd3c2'); break;
       case 'sniper': drawHex(x, y, m.r, '#f1c40f'); break;
       case 'mini': drawCircle(x, y, m.r, '#e7a0a0'); break;
+      case 'boss': drawBoss(m, x, y); break;
     }
-    drawHealthBar(x, y, m.r * 2, 4, m.hp / m.maxHp);
+    drawHitFlash(m.id, x, y, m.r);
+    if (m.type !== 'boss') drawHealthBar(x, y, m.r * 2, 4, m.hp / m.maxHp); // the boss has the top bar
+  }
+
+  function drawBoss(m, x, y) {
+    const def = bossTypes[m.bossType] || { color: '#c0392b', shape: 'hex' };
+    const pulse = 1 + 0.04 * Math.sin(performance.now() / 160);
+    drawCircle(x, y, m.r * 1.25 * pulse, def.color + '33');
+    if (def.shape === 'tri') drawTri(x, y, m.r, def.color); else drawHex(x, y, m.r, def.color);
+    strokeCircle(x, y, m.r * 0.5, '#0008', 4);
+  }
+
+  function drawBossBar() {
+    const b = state.boss; if (!b) return;
+    const def = bossTypes[b.bossType] || { name: 'Boss', color: '#c0392b' };
+    const w = Math.min(520, canvas.clientWidth * 0.6), h = 14;
+    const x = (canvas.clientWidth - w) / 2, y = 28;
+    const pct = Math.max(0, Math.min(1, b.hp / b.maxHp));
+    ctx.fillStyle = '#000a'; ctx.fillRect(x - 3, y - 3, w + 6, h + 6);
+    ctx.fillStyle = '#222a'; ctx.fillRect(x, y, w, h);
+    ctx.fillStyle = def.color; ctx.fillRect(x, y, w * pct, h);
+    // Phase thresholds
+    ctx.fillStyle = '#e9eef7';
+    for (const t of b.thresholds) if (t > 0) ctx.fillRect(x + w * t - 1, y - 2, 2, h + 4);
+    ctx.font = '700 13px system-ui, sans-serif'; ctx.textAlign = 'center'; ctx.textBaseline = 'bottom';
+    ctx.fillText(`${def.name}  -  Phase ${b.phase + 1}/${b.thresholds.length}`, canvas.clientWidth / 2, y - 5);
   }
 
   function drawBullet(b, cam) {
     const x = b.x - cam.x, y = b.y - cam.y; drawCircle(x, y, b.r, '#f7c948');
   }
 
+  function drawEnemyBullet(b, cam) {
+    const x = b.x - cam.x, y = b.y - cam.y; drawCircle(x, y, b.r + 2, '#ff4d4d55'); drawCircle(x, y, b.r, '#ff6b6b');
+  }
+
   function drawNeutral(n, cam) {
-    const x = n.x - cam.x, y = n.y - cam.y; drawCircle(x, y, n.r, '#7fb3d5'); strokeCircle(x, y, n.r + 2, '#0006'); drawHealthBar(x, y, n.r * 2, 3, n.hp / n.maxHp);
+    const x = n.x - cam.x, y = n.y - cam.y; drawCircle(x, y, n.r, '#7fb3d5'); strokeCircle(x, y, n.r + 2, '#0006'); drawHitFlash(n.id, x, y, n.r); drawHealthBar(x, y, n.r * 2, 3, n.hp / n.maxHp);
   }
 
   function drawPowerup(u, cam) {
-    const x = u.x - cam.x, y = u.y - cam.y; const colors = { speed: '#6cd4ff', firerate: '#ffd166', multishot: '#a29bfe', heal: '#7bed9f', shield: '#74b9ff' };
-    drawDiamond(x, y, u.r, colors[u.type] || '#ddd');
+    const x = u.x - cam.x, y = u.y - cam.y;
+    drawDiamond(x, y, u.r, powerupTypes[u.type]?.color || '#ddd');
+  }
+
+  function drawOrb(o, cam) {
+    const x = o.x - cam.x, y = o.y - cam.y; drawCircle(x, y, o.r + 3, '#7bed9f33'); drawCircle(x, y, o.r * 0.6, '#7bed9f');
   }
 
   function drawEffect(e, cam) {
@@ -296,6 +1295,14 @@
     if (e.type === 'beam') {
       ctx.strokeStyle = '#b5f5ffaa'; ctx.lineWidth = 6; ctx.beginPath(); ctx.moveTo(e.x1 - cam.x, e.y1 - cam.y); ctx.lineTo(e.x2 - cam.x, e.y2 - cam.y); ctx.stroke();
     }
+    if (e.type === 'aim') {
+      // Sniper telegraph: thin line that thickens and brightens until the shot
+      const t = Math.max(0, Math.min(1, ((state.serverTime || 0) - e.from) / (e.until - e.from)));
+      ctx.save();
+      ctx.setLineDash([10, 8]); ctx.strokeStyle = `rgba(255, 80, 80, ${0.25 + 0.6 * t})`; ctx.lineWidth = 1 + 2 * t;
+      ctx.beginPath(); ctx.moveTo(e.x1 - cam.x, e.y1 - cam.y); ctx.lineTo(e.x2 - cam.x, e.y2 - cam.y); ctx.stroke();
+      ctx.restore();
+    }
     if (e.type === 'dash') {
       ctx.strokeStyle = '#9ad1ffbb'; ctx.lineWidth = 6; ctx.beginPath(); ctx.moveTo(e.x1 - cam.x, e.y1 - cam.y); ctx.lineTo(e.x2 - cam.x, e.y2 - cam.y); ctx.stroke();
     }
@@ -307,7 +1314,7 @@
   function drawRing(x, y, r, color) { strokeCircle(x, y, r, color, 4); drawCircle(x, y, r*0.45, '#111b'); }
 
   function updateAimAngle() {
-    const me = getMe(); if (!me) return;
+    const me = getMe(); if (!me || aimByStick) return;
     const cam = getCamera(); const px = me.x - cam.x, py = me.y - cam.y; const dx = input.mouseX - px, dy = input.mouseY - py; input.angle = Math.atan2(dy, dx);
   }
 
@@ -322,25 +1329,27 @@
     ctx.closePath();
   }
 
-  function drawAbilityIcon(type, x, y, size) {
+  // Drawn by kind; an ability without its own icon shows its initial
+  function drawAbilityIcon(a, x, y, size) {
     const s = size / 2;
-    switch (type) {
+    const c = a.color || '#cfe7ff';
+    switch (a.kind) {
       case 'burst': {
         // Cone: three small triangles
-        ctx.fillStyle = '#ffd166';
+        ctx.fillStyle = c;
         for (let i = -1; i <= 1; i++) {
-          const a = i * 0.3; const dx = Math.cos(a), dy = Math.sin(a);
+          const ang = i * 0.3; const dx = Math.cos(ang), dy = Math.sin(ang);
           ctx.beginPath();
           ctx.moveTo(x, y);
           ctx.lineTo(x + dx * s, y + dy * s);
-          const a2 = a + 0.25; ctx.lineTo(x + Math.cos(a2) * s * 0.9, y + Math.sin(a2) * s * 0.9);
+          const a2 = ang + 0.25; ctx.lineTo(x + Math.cos(a2) * s * 0.9, y + Math.sin(a2) * s * 0.9);
           ctx.closePath(); ctx.fill();
         }
         break;
       }
       case 'dash': {
         // Double chevron
-        ctx.strokeStyle = '#6cd4ff'; ctx.lineWidth = 4; ctx.lineCap = 'round';
+        ctx.strokeStyle = c; ctx.lineWidth = 4; ctx.lineCap = 'round';
         for (let k = 0; k < 2; k++) {
           ctx.beginPath();
           ctx.moveTo(x - s * 0.6 + k * 10, y - s * 0.2);
@@ -351,21 +1360,43 @@
         break;
       }
       case 'grenade': {
-        ctx.fillStyle = '#a29bfe'; drawCircle(x, y, s * 0.5, '#a29bfe');
-        ctx.strokeStyle = '#a29bfe'; ctx.lineWidth = 3; ctx.beginPath(); ctx.arc(x + s * 0.3, y - s * 0.5, s * 0.25, Math.PI, Math.PI * 1.7); ctx.stroke();
+        drawCircle(x, y, s * 0.5, c);
+        ctx.strokeStyle = c; ctx.lineWidth = 3; ctx.beginPath(); ctx.arc(x + s * 0.3, y - s * 0.5, s * 0.25, Math.PI, Math.PI * 1.7); ctx.stroke();
         break;
       }
       case 'beam': {
-        ctx.strokeStyle = '#b5f5ff'; ctx.lineWidth = 5; ctx.beginPath(); ctx.moveTo(x - s * 0.8, y); ctx.lineTo(x + s * 0.8, y); ctx.stroke();
+        ctx.strokeStyle = c; ctx.lineWidth = 5; ctx.beginPath(); ctx.moveTo(x - s * 0.8, y); ctx.lineTo(x + s * 0.8, y); ctx.stroke();
         break;
       }
+      default:
+        ctx.fillStyle = c; ctx.font = `700 ${Math.round(s)}px system-ui, sans-serif`; ctx.textAlign = 'center'; ctx.textBaseline = 'middle';
+        ctx.fillText((a.label || a.type)[0], x, y);
     }
   }
 
+  // Shared by drawing and touch hit-testing. Bigger boxes for fingers; on a
+  // portrait phone the sticks take the bottom corners, so the bar sits above them.
+  function abilityBarLayout() {
+    const w = canvas.clientWidth, h = canvas.clientHeight;
+    const pad = 10; const box = touchMode ? 64 : 56; const gap = 10; const totalW = ABILITIES.length * box + (ABILITIES.length - 1) * gap;
+    const lift = touchMode && h > w ? stickRadius() * 2 + 24 : 0;
+    return { box, gap, x0: (w - totalW) / 2, y0: h - (box + pad) - lift };
+  }
+
+  function abilityAt(px, py) {
+    if (!getMe()) return -1;
+    const { box, gap, x0, y0 } = abilityBarLayout();
+    const i = Math.floor((px - x0) / (box + gap));
+    const inBox = px - x0 - i * (box + gap) <= box && py >= y0 && py <= y0 + box;
+    return i >= 0 && i < ABILITIES.length && inBox ? i : -1;
+  }
+
+  // An ability's cooldown for player p, shortened by their cooldown upgrade as in useAbility()
+  function cooldownOf(p, a) { return a.cooldownMs * (1 - (p.upgrades?.cooldown || 0) * (upgradeTypes.cooldown?.amount || 0)); }
+
   function drawAbilityBar() {
     const me = getMe(); if (!me) return;
-    const pad = 10; const box = 56; const gap = 10; const totalW = ABILITIES.length * box + (ABILITIES.length - 1) * gap;
-    const x0 = (canvas.clientWidth - totalW) / 2; const y0 = canvas.clientHeight - (box + pad);
+    const { box, gap, x0, y0 } = abilityBarLayout();
 
     for (let i = 0; i < ABILITIES.length; i++) {
       const a = ABILITIES[i];
@@ -376,11 +1407,11 @@
       ctx.lineWidth = 2; ctx.strokeStyle = '#2a3552'; ctx.stroke();
 
       // icon
-      drawAbilityIcon(a.type, x + box / 2, y + box / 2, box * 0.9);
+      drawAbilityIcon(a, x + box / 2, y + box / 2, box * 0.9);
 
-      // key label
+      // key label (nothing to press on a touch screen but the box itself)
       ctx.fillStyle = '#cfe7ff'; ctx.font = '12px system-ui, sans-serif'; ctx.textAlign = 'left'; ctx.textBaseline = 'alphabetic';
-      ctx.fillText(a.keyLabel, x + 6, y + box - 6);
+      if (!touchMode) ctx.fillText(bindingLabel(bindings[a.type].find(Boolean)), x + 6, y + box - 6);
 
       // cooldown overlay
       const cdMap = me.cd || {};
@@ -388,7 +1419,7 @@
       const nextReady = cdMap[a.type] || 0;
       const remaining = Math.max(0, nextReady - now);
       if (remaining > 0) {
-        const frac = Math.max(0, Math.min(1, remaining / a.cooldownMs));
+        const frac = Math.max(0, Math.min(1, remaining / cooldownOf(me, a)));
         ctx.fillStyle = '#000a';
         ctx.fillRect(x, y, box, box * frac);
         ctx.fillStyle = '#e9eef7'; ctx.textAlign = 'right'; ctx.font = '12px system-ui, sans-serif';
@@ -397,31 +1428,179 @@
     }
   }
 
+  // Level, xp toward the next one and the upgrades taken, just above the ability bar
+  function drawXpBar() {
+    const me = getMe(); if (!me || !me.xpNext) return;
+    const { box, gap, x0, y0 } = abilityBarLayout();
+    const w = Math.max(200, ABILITIES.length * (box + gap) - gap), x = (canvas.clientWidth - w) / 2, y = y0 - 12;
+    ctx.fillStyle = '#222a'; ctx.fillRect(x, y, w, 6);
+    ctx.fillStyle = '#7bed9f'; ctx.fillRect(x, y, w * Math.min(1, me.xp / me.xpNext), 6);
+    const taken = Object.entries(me.upgrades || {}).filter(([, n]) => n > 0).map(([t, n]) => `${upgradeTypes[t]?.label || t} ${n}`);
+    ctx.font = '12px system-ui, sans-serif'; ctx.textBaseline = 'alphabetic';
+    ctx.fillStyle = '#7bed9f'; ctx.textAlign = 'left'; ctx.fillText(`Lv ${me.level}`, x, y - 5);
+    ctx.fillStyle = '#cfe7ff'; ctx.textAlign = 'right'; ctx.fillText(taken.join(' | '), x + w, y - 5);
+  }
+
+  // --------- Level-up offers ---------
+  // The upgrades on offer show as cards above the ability bar until one is taken
+  // (number keys, a click or a tap). Nothing pauses meanwhile. After a pick the
+  // cards hide until the server has counted it, so a second click can't land
+  // on the next offer by mistake; a pick that got lost (a reconnect, the rate
+  // limit) brings them back after PICK_RETRY_MS.
+  const PICK_RETRY_MS = 1500;
+  let picked = null; // { taken, at }: upgrades taken when we last picked one, and when
+
+  function upgradesTaken(me) { return Object.values(me.upgrades || {}).reduce((a, n) => a + n, 0); }
+
+  function awaitingPick(me) { return picked && upgradesTaken(me) === picked.taken && performance.now() - picked.at < PICK_RETRY_MS; }
+
+  function offerLayout() {
+    const me = getMe();
+    if (!me || watching() || !me.offer?.length || awaitingPick(me)) return null;
+    const gap = 10, h = 64, n = me.offer.length;
+    const w = Math.min(180, (canvas.clientWidth - 20 - gap * (n - 1)) / n);
+    return { offer: me.offer, w, h, gap, x0: (canvas.clientWidth - (n * w + (n - 1) * gap)) / 2, y0: abilityBarLayout().y0 - 40 - h };
+  }
+
+  // Index of the card under (px, py), or -1
+  function upgradeAt(px, py) {
+    const l = offerLayout(); if (!l) return -1;
+    const i = Math.floor((px - l.x0) / (l.w + l.gap));
+    const inCard = px - l.x0 - i * (l.w + l.gap) <= l.w && py >= l.y0 && py <= l.y0 + l.h;
+    return i >= 0 && i < l.offer.length && inCard ? i : -1;
+  }
+
+  function pickUpgrade(i) {
+    const l = offerLayout();
+    if (!l || !l.offer[i]) return false;
+    picked = { taken: upgradesTaken(getMe()), at: performance.now() };
+    socket.emit('upgrade', { type: l.offer[i] });
+    return true;
+  }
+
+  function drawUpgradeOffer() {
+    const l = offerLayout(); if (!l) return;
+    const me = getMe();
+    l.offer.forEach((type, i) => {
+      const u = upgradeTypes[type] || { label: type, text: '' };
+      const x = l.x0 + i * (l.w + l.gap), y = l.y0;
+      drawRoundedRect(x, y, l.w, l.h, 10);
+      ctx.fillStyle = '#0f1524e6'; ctx.fill();
+      ctx.lineWidth = 2; ctx.strokeStyle = u.color || '#2a3552'; ctx.stroke();
+      ctx.textAlign = 'left'; ctx.textBaseline = 'alphabetic';
+      ctx.fillStyle = u.color || '#e9eef7'; ctx.font = '700 13px system-ui, sans-serif';
+      ctx.fillText(`${touchMode ? '' : `${i + 1}. `}${u.label}`, x + 10, y + 20, l.w - 20);
+      ctx.fillStyle = '#cfe7ff'; ctx.font = '11px system-ui, sans-serif';
+      ctx.fillText(u.text, x + 10, y + 38, l.w - 20);
+      ctx.fillStyle = '#8aa';
+      ctx.fillText(`Level ${(me.upgrades?.[type] || 0) + 1}${u.maxLevel ? ` of ${u.maxLevel}` : ''}`, x + 10, y + 55, l.w - 20);
+    });
+  }
+
+  function drawBanner() {
+    if (!banner) return;
+    const left = banner.until - performance.now();
+    if (left <= 0) { banner = null; return; }
+    const alpha = Math.min(1, left / 500, (banner.ms - left) / 250);
+    const cx = canvas.clientWidth / 2, cy = canvas.clientHeight * 0.28;
+    ctx.save();
+    ctx.globalAlpha = alpha; ctx.textAlign = 'center'; ctx.textBaseline = 'middle';
+    ctx.fillStyle = '#000a'; ctx.fillRect(0, cy - 44, canvas.clientWidth, 84);
+    ctx.fillStyle = banner.color; ctx.font = '800 34px system-ui, sans-serif'; ctx.fillText(banner.text, cx, cy - 12);
+    ctx.fillStyle = '#cfe7ff'; ctx.font = '15px system-ui, sans-serif'; ctx.fillText(banner.sub, cx, cy + 22);
+    ctx.restore();
+  }
+
+  // Everyone's kills, health and cooldowns, for spectators and replays
+  function drawScoreboard() {
+    const rowH = 34, w = 240, x0 = canvas.clientWidth - w - 10;
+    let y = 10;
+    drawRoundedRect(x0, y, w, 24 + state.players.length * rowH, 10);
+    ctx.fillStyle = '#0f1524cc'; ctx.fill();
+    ctx.font = '12px system-ui, sans-serif'; ctx.textBaseline = 'middle';
+    ctx.fillStyle = '#8aa'; ctx.textAlign = 'left'; ctx.fillText('Player', x0 + 10, y + 13);
+    ctx.textAlign = 'right'; ctx.fillText('Kills', x0 + w - 10, y + 13);
+    y += 24;
+    const now = state.serverTime || 0;
+    for (const p of state.players) {
+      if (p.id === followId) { ctx.fillStyle = '#6cb2ff22'; ctx.fillRect(x0 + 2, y, w - 4, rowH); }
+      drawCircle(x0 + 14, y + 11, 5, p.color);
+      ctx.fillStyle = p.downed || p.offline ? '#8aa' : '#e9eef7'; ctx.textAlign = 'left';
+      ctx.fillText(p.name + (p.offline ? ' (offline)' : p.downed ? ' (down)' : ''), x0 + 24, y + 11);
+      ctx.textAlign = 'right'; ctx.fillText(String(p.kills), x0 + w - 10, y + 11);
+      const pct = Math.max(0, Math.min(1, p.hp / p.maxHp));
+      ctx.fillStyle = '#222a'; ctx.fillRect(x0 + 24, y + 21, 100, 5);
+      ctx.fillStyle = pct > 0.5 ? '#58d68d' : pct > 0.25 ? '#f7c948' : '#ff6b6b'; ctx.fillRect(x0 + 24, y + 21, 100 * pct, 5);
+      // One pip per ability, filling back up as the cooldown runs out
+      ABILITIES.forEach((a, i) => {
+        const left = Math.max(0, ((p.cd || {})[a.type] || 0) - now) / cooldownOf(p, a);
+        const px = x0 + 134 + i * 22;
+        ctx.fillStyle = '#222a'; ctx.fillRect(px, y + 19, 18, 9);
+        ctx.fillStyle = left > 0 ? '#6cb2ff66' : '#6cb2ff'; ctx.fillRect(px, y + 19, 18 * (1 - Math.min(1, left)), 9);
+      });
+      y += rowH;
+    }
+  }
+
+  let lastFrameAt = performance.now();
   function render() {
+    const frameAt = performance.now();
+    if (watching()) moveFreeCam(Math.min(0.1, (frameAt - lastFrameAt) / 1000));
+    lastFrameAt = frameAt;
+    correction.x *= 0.85; correction.y *= 0.85;
+    applyPrediction();
     updateAimAngle();
     ctx.clearRect(0, 0, canvas.clientWidth, canvas.clientHeight);
-    const cam = getCamera();
+    const view = interpolatedView();
+    const cam = getCamera(view);
+    sfx.setListener(cam.x + canvas.clientWidth / 2, cam.y + canvas.clientHeight / 2);
+    // The server streams the area around a spectator's camera
+    if (spectating && joined && frameAt - lastCamSentAt > 200) {
+      lastCamSentAt = frameAt;
+      sendView({ x: Math.round(cam.x + canvas.clientWidth / 2), y: Math.round(cam.y + canvas.clientHeight / 2) });
+    }
 
     drawGrid(cam);
     ctx.strokeStyle = '#334'; ctx.lineWidth = 2; ctx.strokeRect(-cam.x + 0.5, -cam.y + 0.5, world.width, world.height);
+    drawObstacles(cam);
 
-    for (const u of state.powerups) drawPowerup(u, cam);
-    for (const n of state.neutrals) drawNeutral(n, cam);
-    for (const b of state.bullets) drawBullet(b, cam);
-    for (const m of state.monsters) drawMonster(m, cam);
-    for (const p of state.players) drawPlayer(p, cam);
-    for (const e of state.effects) drawEffect(e, cam);
+    for (const o of view.orbs) drawOrb(o, cam);
+    for (const u of view.powerups) drawPowerup(u, cam);
+    for (const n of view.neutrals) drawNeutral(n, cam);
+    for (const b of view.bullets) drawBullet(b, cam);
+    for (const b of view.enemyBullets) drawEnemyBullet(b, cam);
+    for (const m of view.monsters) drawMonster(m, cam);
+    for (const p of view.players) drawPlayer(p, cam);
+    for (const e of view.effects) drawEffect(e, cam);
+    drawFloaters(cam);
 
     const me = getMe();
-    if (me) {
-      ui.textContent = `WASD/Arrows move | Mouse aim/click shoot | Kills: ${me.kills}`;
+    const target = followed(view);
+    const camText = target ? `following ${target.name}` : 'free camera';
+    if (replay) {
+      ui.textContent = `Replay: ${replay.info.name} | ${state.settings.difficulty} | ${camText} | WASD/drag to pan, Tab to follow`;
+    } else if (spectating) {
+      ui.textContent = `Spectating ${roomInfo?.name || ''} | ${state.settings.difficulty} | ${camText} | WASD/drag to pan, Tab to follow, Esc to leave`;
+    } else if (me) {
+      const status = me.downed ? 'DOWN - wait for a teammate to revive you' : `HP: ${Math.ceil(me.hp)}/${me.maxHp}`;
+      const w = state.wave;
+      const waveText = !w ? '' : w.phase === 'active' ? ` | Wave ${w.number}: ${w.left} left` :
+        ` | Next wave in ${Math.max(0, Math.ceil((w.breakUntil - state.serverTime) / 1000))}s`;
+      ui.textContent = `WASD/Arrows move | Mouse aim/click shoot | ${state.settings.difficulty}${waveText} | ${status} | Level ${me.level || 1} | Kills: ${me.kills}`;
     }
 
     drawAbilityBar();
+    drawXpBar();
+    drawUpgradeOffer();
+    drawKillFeed();
+    if (touchMode && joined) drawTouchSticks();
+    if (watching()) drawScoreboard();
+    drawBossBar();
+    drawBanner();
 
     requestAnimationFrame(render);
   }
   render();
 
-  setInterval(() => { sendInput(); }, 50);
+  setInterval(sampleInput, 1000 / INPUT_RATE);
 })(); 
\ No newline at end of file
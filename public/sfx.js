@@ -0,0 +1,152 @@
+// Sound effects on Web Audio, for the browser only (window.Sfx).
+// Each sound tries a few files under audio/sfx/ and falls back to a short
+// procedural sound when none load, like the music loader does with missing
+// tracks. Sounds are placed in the world: panned by their horizontal offset
+// from the listener and quieter with distance. A fixed pool of voices plus a
+// per-sound voice cap and minimum gap keeps bullet spam from piling up.
+(function (root) {
+  const EXTENSIONS = ['ogg', 'mp3', 'wav'];
+  const MAX_VOICES = 24;
+  const HEARING_RANGE = 1400; // world units at which a sound fades out completely
+  const PAN_RANGE = 700; // horizontal offset that pans fully to one side
+
+  // maxVoices/minGapMs are per sound; synth(ctx, out, t, noise) schedules the fallback and returns its length in seconds
+  const SOUNDS = {
+    shoot: { gain: 0.18, maxVoices: 4, minGapMs: 45, synth: (ctx, out, t) => tone(ctx, out, t, 'square', 880, 220, 0.07) },
+    hit: { gain: 0.2, maxVoices: 4, minGapMs: 35, synth: (ctx, out, t) => tone(ctx, out, t, 'triangle', 320, 140, 0.05) },
+    kill: { gain: 0.35, maxVoices: 4, minGapMs: 50, synth: (ctx, out, t) => tone(ctx, out, t, 'square', 220, 60, 0.18) },
+    explosion: { gain: 0.7, maxVoices: 3, minGapMs: 60, synth: (ctx, out, t, noise) => burst(ctx, out, t, noise, 'lowpass', 1400, 90, 0.5) },
+    beam: { gain: 0.4, maxVoices: 2, minGapMs: 80, synth: (ctx, out, t) => tone(ctx, out, t, 'sawtooth', 300, 900, 0.22) },
+    dash: { gain: 0.4, maxVoices: 2, minGapMs: 80, synth: (ctx, out, t, noise) => burst(ctx, out, t, noise, 'highpass', 800, 3000, 0.16) },
+    pickup: { gain: 0.45, maxVoices: 2, minGapMs: 60, synth: (ctx, out, t) => { [660, 880, 1320].forEach((f, i) => tone(ctx, out, t + i * 0.05, 'sine', f, f, 0.06)); return 0.16; } },
+    down: { gain: 0.6, maxVoices: 2, minGapMs: 100, synth: (ctx, out, t) => tone(ctx, out, t, 'sawtooth', 400, 70, 0.5) },
+    revive: { gain: 0.5, maxVoices: 2, minGapMs: 100, synth: (ctx, out, t) => tone(ctx, out, t, 'sine', 440, 880, 0.3) },
+    levelUp: { gain: 0.5, maxVoices: 1, minGapMs: 200, synth: (ctx, out, t) => { [523, 659, 784, 1047].forEach((f, i) => tone(ctx, out, t + i * 0.07, 'triangle', f, f, 0.12)); return 0.33; } },
+    boss: { gain: 0.7, maxVoices: 1, minGapMs: 1000, synth: (ctx, out, t) => tone(ctx, out, t, 'sawtooth', 90, 60, 0.9) },
+  };
+
+  // A pitch sweep with a quick attack and exponential decay
+  function tone(ctx, out, t, type, from, to, len) {
+    const osc = ctx.createOscillator();
+    const env = ctx.createGain();
+    osc.type = type;
+    osc.frequency.setValueAtTime(from, t);
+    osc.frequency.exponentialRampToValueAtTime(to, t + len);
+    env.gain.setValueAtTime(0.0001, t);
+    env.gain.exponentialRampToValueAtTime(1, t + 0.005);
+    env.gain.exponentialRampToValueAtTime(0.0001, t + len);
+    osc.connect(env).connect(out);
+    osc.start(t);
+    osc.stop(t + len + 0.02);
+    return len;
+  }
+
+  // Filtered white noise with a swept cutoff
+  function burst(ctx, out, t, noise, filterType, from, to, len) {
+    const src = ctx.createBufferSource();
+    const filter = ctx.createBiquadFilter();
+    const env = ctx.createGain();
+    src.buffer = noise;
+    filter.type = filterType;
+    filter.frequency.setValueAtTime(from, t);
+    filter.frequency.exponentialRampToValueAtTime(to, t + len);
+    env.gain.setValueAtTime(1, t);
+    env.gain.exponentialRampToValueAtTime(0.0001, t + len);
+    src.connect(filter).connect(env).connect(out);
+    src.start(t);
+    src.stop(t + len + 0.02);
+    return len;
+  }
+
+  async function loadBuffer(ctx, baseUrl, name) {
+    for (const ext of EXTENSIONS) {
+      try {
+        const res = await fetch(`${baseUrl}${name}.${ext}`);
+        if (!res.ok) continue;
+        return await ctx.decodeAudioData(await res.arrayBuffer());
+      } catch (_) {}
+    }
+    return null; // none found; the synth stands in
+  }
+
+  function createSfx({ baseUrl = 'audio/sfx/' } = {}) {
+    let ctx = null;
+    let master = null;
+    let noise = null;
+    let volume = 1;
+    const listener = { x: 0, y: 0 };
+    const buffers = {}; // name -> AudioBuffer | null once loading settles
+    const voices = []; // { gain, pan, name, busyUntil }
+    const lastPlayed = {}; // name -> ctx time
+
+    // Browsers only start audio from a user gesture
+    function unlock() {
+      const AudioContext = root.AudioContext || root.webkitAudioContext;
+      if (!AudioContext) return;
+      if (ctx) { ctx.resume().catch(() => {}); return; }
+      ctx = new AudioContext();
+      master = ctx.createGain();
+      master.gain.value = volume;
+      master.connect(ctx.destination);
+      noise = ctx.createBuffer(1, ctx.sampleRate, ctx.sampleRate);
+      const data = noise.getChannelData(0);
+      for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+      for (const name in SOUNDS) loadBuffer(ctx, baseUrl, name).then((b) => { buffers[name] = b; });
+    }
+
+    function setVolume(v) { volume = v; if (master) master.gain.value = v; }
+
+    function setListener(x, y) { listener.x = x; listener.y = y; }
+
+    function freeVoice(now) {
+      const v = voices.find((x) => x.busyUntil <= now);
+      if (v || voices.length >= MAX_VOICES) return v || null;
+      const voice = { gain: ctx.createGain(), pan: ctx.createStereoPanner(), name: null, busyUntil: 0 };
+      voice.gain.connect(voice.pan).connect(master);
+      voices.push(voice);
+      return voice;
+    }
+
+    /** Play a sound, at a world position when `at` is given; returns false when it was dropped. */
+    function play(name, at) {
+      const def = SOUNDS[name];
+      if (!def || !ctx || ctx.state !== 'running' || volume <= 0) return false;
+      const now = ctx.currentTime;
+      if (now - (lastPlayed[name] ?? -Infinity) < def.minGapMs / 1000) return false;
+      if (voices.filter((v) => v.name === name && v.busyUntil > now).length >= def.maxVoices) return false;
+
+      let gain = def.gain, pan = 0;
+      if (at) {
+        const dx = at.x - listener.x, dy = at.y - listener.y;
+        const falloff = 1 - Math.hypot(dx, dy) / HEARING_RANGE;
+        if (falloff <= 0.02) return false;
+        gain *= falloff * falloff;
+        pan = Math.max(-1, Math.min(1, dx / PAN_RANGE));
+      }
+      const voice = freeVoice(now);
+      if (!voice) return false;
+
+      voice.gain.gain.setValueAtTime(gain, now);
+      voice.pan.pan.setValueAtTime(pan, now);
+      let len;
+      const buffer = buffers[name];
+      if (buffer) {
+        const src = ctx.createBufferSource();
+        src.buffer = buffer;
+        src.connect(voice.gain);
+        src.start(now);
+        len = buffer.duration;
+      } else {
+        len = def.synth(ctx, voice.gain, now, noise);
+      }
+      voice.name = name;
+      voice.busyUntil = now + len + 0.05;
+      lastPlayed[name] = now;
+      return true;
+    }
+
+    return { unlock, setVolume, setListener, play };
+  }
+
+  root.Sfx = { SOUNDS, createSfx };
+})(window);
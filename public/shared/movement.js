@@ -0,0 +1,41 @@
+// Player movement rules, shared by the server simulation and client-side prediction.
+// Loaded with require() on the server and as a plain <script> (window.SharedMovement) in the browser.
+// Needs shared/obstacles.js loaded first in the browser.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./obstacles'));
+  else root.SharedMovement = factory(root.SharedObstacles);
+})(typeof self !== 'undefined' ? self : this, function (Obstacles) {
+  const PLAYER_SPEED = 240; // units per second
+  const DASH_BOOST = 3.2;
+  const MAX_INPUT_DT = 0.1; // longest step a single input may cover, in seconds
+
+  function clamp(value, min, max) { return Math.max(min, Math.min(max, value)); }
+
+  /**
+   * Advance a player by one input for dt seconds.
+   * @param {{ x:number, y:number, radius:number, buffs:{ speed:number }, dashingUntil:number }} p mutated in place
+   * @param {{ up?:boolean, down?:boolean, left?:boolean, right?:boolean, mx?:number, my?:number }} input mx/my (analog, -1..1) win over the flags
+   * @param {number} dt seconds
+   * @param {number} now server time in ms (for the dash boost)
+   * @param {{ width:number, height:number, obstacles?:object[] }} world
+   */
+  function stepMovement(p, input, dt, now, world) {
+    const analog = Number.isFinite(input.mx) && Number.isFinite(input.my);
+    const inputX = analog ? input.mx : (input.right ? 1 : 0) - (input.left ? 1 : 0);
+    const inputY = analog ? input.my : (input.down ? 1 : 0) - (input.up ? 1 : 0);
+    // A half-tilted stick moves at half speed; anything longer than 1 (e.g. two keys) is cut back to full speed
+    const len = Math.hypot(inputX, inputY);
+    const scale = len > 1 ? 1 / len : 1;
+    const dirX = inputX * scale;
+    const dirY = inputY * scale;
+    const dashBoost = now < p.dashingUntil ? DASH_BOOST : 1;
+    const speed = PLAYER_SPEED * p.buffs.speed * dashBoost;
+    p.x += dirX * speed * dt;
+    p.y += dirY * speed * dt;
+    p.x = clamp(p.x, p.radius, world.width - p.radius);
+    p.y = clamp(p.y, p.radius, world.height - p.radius);
+    if (world.obstacles) Obstacles.pushOut(p, p.radius, world.obstacles);
+  }
+
+  return { PLAYER_SPEED, DASH_BOOST, MAX_INPUT_DT, stepMovement };
+});
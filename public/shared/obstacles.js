@@ -0,0 +1,94 @@
+// Obstacle geometry, shared by the server simulation and client-side prediction.
+// Loaded with require() on the server and as a plain <script> (window.SharedObstacles) in the browser.
+//
+// Obstacles are { type:'rect', x, y, w, h } with (x, y) the top-left corner, or
+// { type:'circle', x, y, r }. Everything that moves is a circle.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.SharedObstacles = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  const CLEAR = Object.freeze({ t: 1, obstacle: null });
+
+  function clamp(value, min, max) { return Math.max(min, Math.min(max, value)); }
+
+  function overlapsOne(o, x, y, r) {
+    if (o.type === 'circle') { const dx = x - o.x, dy = y - o.y, rr = o.r + r; return dx * dx + dy * dy < rr * rr; }
+    const dx = x - clamp(x, o.x, o.x + o.w), dy = y - clamp(y, o.y, o.y + o.h);
+    return dx * dx + dy * dy < r * r;
+  }
+
+  /** True when a circle at (x, y) with radius r overlaps any obstacle */
+  function overlaps(x, y, r, obstacles) {
+    for (const o of obstacles) if (overlapsOne(o, x, y, r)) return true;
+    return false;
+  }
+
+  /**
+   * Move a circle out of every obstacle it overlaps, along the shortest way out,
+   * so anything pressing into a wall slides along it.
+   * @param {{ x:number, y:number }} body mutated in place
+   */
+  function pushOut(body, r, obstacles) {
+    for (const o of obstacles) {
+      if (!overlapsOne(o, body.x, body.y, r)) continue;
+      if (o.type === 'circle') {
+        const dx = body.x - o.x, dy = body.y - o.y;
+        const d = Math.hypot(dx, dy);
+        const nx = d ? dx / d : 1, ny = d ? dy / d : 0;
+        body.x = o.x + nx * (o.r + r); body.y = o.y + ny * (o.r + r);
+        continue;
+      }
+      const cx = clamp(body.x, o.x, o.x + o.w), cy = clamp(body.y, o.y, o.y + o.h);
+      if (cx !== body.x || cy !== body.y) {
+        // Centre outside the rect: back off from the closest point
+        const dx = body.x - cx, dy = body.y - cy;
+        const d = Math.hypot(dx, dy);
+        body.x = cx + (dx / d) * r; body.y = cy + (dy / d) * r;
+        continue;
+      }
+      // Centre inside: leave through the nearest edge
+      const exits = [[body.x - o.x, -1, 0], [o.x + o.w - body.x, 1, 0], [body.y - o.y, 0, -1], [o.y + o.h - body.y, 0, 1]];
+      const [, ex, ey] = exits.reduce((best, e) => (e[0] < best[0] ? e : best));
+      if (ex) body.x = ex < 0 ? o.x - r : o.x + o.w + r;
+      else body.y = ey < 0 ? o.y - r : o.y + o.h + r;
+    }
+  }
+
+  // Where along (x1, y1) + t * (dx, dy), t in 0..1, a circle of radius r first touches o; Infinity if never
+  function castOne(o, x1, y1, dx, dy, r) {
+    if (o.type === 'circle') {
+      const fx = x1 - o.x, fy = y1 - o.y, R = o.r + r;
+      const a = dx * dx + dy * dy, b = fx * dx + fy * dy, c = fx * fx + fy * fy - R * R;
+      if (c < 0) return 0; // starts inside
+      const disc = b * b - a * c;
+      if (a === 0 || disc < 0) return Infinity;
+      const t = (-b - Math.sqrt(disc)) / a;
+      return t >= 0 && t <= 1 ? t : Infinity;
+    }
+    // Slab test against the rect grown by r on every side
+    let t0 = 0, t1 = 1;
+    for (const [p, d, lo, hi] of [[x1, dx, o.x - r, o.x + o.w + r], [y1, dy, o.y - r, o.y + o.h + r]]) {
+      if (d === 0) { if (p <= lo || p >= hi) return Infinity; continue; }
+      let a = (lo - p) / d, b = (hi - p) / d;
+      if (a > b) [a, b] = [b, a];
+      t0 = Math.max(t0, a); t1 = Math.min(t1, b);
+      if (t0 > t1) return Infinity;
+    }
+    return t0;
+  }
+
+  /**
+   * Sweep a circle of radius r from (x1, y1) to (x2, y2).
+   * @returns {{ t:number, obstacle:object|null }} how far it gets (0..1) before the first obstacle, and which one
+   */
+  function raycast(x1, y1, x2, y2, r, obstacles) {
+    let hit = CLEAR;
+    for (const o of obstacles) {
+      const t = castOne(o, x1, y1, x2 - x1, y2 - y1, r);
+      if (t < hit.t) hit = { t, obstacle: o };
+    }
+    return hit;
+  }
+
+  return { overlaps, pushOut, raycast };
+});
@@ -0,0 +1,281 @@
+// Binary wire format for `state` and `input`, shared by server.js and client.js.
+// Loaded with require() on the server and as a plain <script> (window.Protocol) in the browser.
+//
+// Every message starts with [u8 version][u8 kind]. Bump VERSION whenever a schema
+// below changes; decoders reject other versions instead of misreading them.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.Protocol = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  const VERSION = 7;
+  const KIND_STATE = 1;
+  const KIND_INPUT = 2;
+
+  // Numeric enums; unknown values go out as 255 and decode to null. powerup is
+  // empty until setEnum fills it from the registry, on the server at startup
+  // and in the client when the registry arrives
+  const ENUMS = {
+    monster: ['chaser', 'dasher', 'orbiter', 'splitter', 'sniper', 'mini', 'boss'],
+    powerup: [],
+    effect: ['explosion', 'beam', 'dash', 'aim'],
+  };
+
+  // Field types:
+  //   pos   int16, world units rounded to whole numbers
+  //   time  int32 ms relative to the message's serverTime (clamped)
+  //   frac  u8 fraction in 0..1
+  //   json  length-prefixed JSON, for small nested objects
+  //   enum:<name>  u8 index into ENUMS[name]
+  const ENTITY_SCHEMAS = {
+    players: {
+      id: 'str',
+      fields: [['name', 'str'], ['x', 'pos'], ['y', 'pos'], ['color', 'str'], ['kills', 'u16'], ['hp', 'f32'], ['maxHp', 'f32'], ['downed', 'bool'],
+        ['revive', 'frac'], ['iFramesUntil', 'time'], ['dashingUntil', 'time'], ['ack', 'u32'], ['r', 'u8'], ['cd', 'json'], ['buffs', 'json'], ['offline', 'bool'],
+        ['level', 'u16'], ['xp', 'u32'], ['xpNext', 'u32'], ['offer', 'json'], ['upgrades', 'json']],
+    },
+    bullets: { id: 'uint', fields: [['x', 'pos'], ['y', 'pos'], ['r', 'u8']] },
+    enemyBullets: { id: 'uint', fields: [['x', 'pos'], ['y', 'pos'], ['r', 'u8']] },
+    monsters: {
+      id: 'uint',
+      fields: [['x', 'pos'], ['y', 'pos'], ['r', 'u8'], ['hp', 'f32'], ['maxHp', 'f32'], ['type', 'enum:monster'], ['bossType', 'str']],
+    },
+    neutrals: { id: 'uint', fields: [['x', 'pos'], ['y', 'pos'], ['r', 'u8'], ['hp', 'f32'], ['maxHp', 'f32']] },
+    powerups: { id: 'uint', fields: [['type', 'enum:powerup'], ['x', 'pos'], ['y', 'pos'], ['r', 'u8']] },
+    orbs: { id: 'uint', fields: [['x', 'pos'], ['y', 'pos'], ['r', 'u8']] },
+    bombs: { id: 'uint', fields: [['x', 'pos'], ['y', 'pos'], ['r', 'u8']] },
+    effects: {
+      id: 'uint',
+      fields: [['type', 'enum:effect'], ['x', 'pos'], ['y', 'pos'], ['r', 'u16'], ['x1', 'pos'], ['y1', 'pos'], ['x2', 'pos'], ['y2', 'pos'],
+        ['from', 'time'], ['until', 'time']],
+    },
+  };
+  const ENTITY_KEYS = Object.keys(ENTITY_SCHEMAS);
+  const STATE_FIELDS = [['seq', 'u32'], ['base', 'u32'], ['serverTime', 'f64'], ['boss', 'json'], ['wave', 'json']];
+
+  const INPUT_FLAGS = ['up', 'down', 'left', 'right', 'shooting'];
+  const ANGLE_STEPS = 65536;
+  const DT_SCALE = 10000; // dt travels as u16 in 0.1 ms steps
+  const MOVE_SCALE = 127; // analog movement travels as i8 per axis
+
+  const textEncoder = new TextEncoder();
+  const textDecoder = new TextDecoder();
+
+  class ByteWriter {
+    constructor(size = 512) { this.alloc(size); this.pos = 0; }
+    alloc(size) {
+      const old = this.bytes;
+      this.bytes = new Uint8Array(size);
+      if (old) this.bytes.set(old.subarray(0, this.pos));
+      this.view = new DataView(this.bytes.buffer);
+    }
+    ensure(n) { if (this.pos + n > this.bytes.length) this.alloc(Math.max(this.bytes.length * 2, this.pos + n)); }
+    u8(v) { this.ensure(1); this.view.setUint8(this.pos, v); this.pos += 1; }
+    i8(v) { this.ensure(1); this.view.setInt8(this.pos, v); this.pos += 1; }
+    u16(v) { this.ensure(2); this.view.setUint16(this.pos, v); this.pos += 2; }
+    i16(v) { this.ensure(2); this.view.setInt16(this.pos, v); this.pos += 2; }
+    u32(v) { this.ensure(4); this.view.setUint32(this.pos, v); this.pos += 4; }
+    i32(v) { this.ensure(4); this.view.setInt32(this.pos, v); this.pos += 4; }
+    f32(v) { this.ensure(4); this.view.setFloat32(this.pos, v); this.pos += 4; }
+    f64(v) { this.ensure(8); this.view.setFloat64(this.pos, v); this.pos += 8; }
+    varuint(v) {
+      do {
+        let b = v % 128;
+        v = Math.floor(v / 128);
+        if (v > 0) b |= 128;
+        this.u8(b);
+      } while (v > 0);
+    }
+    str(s) {
+      const b = textEncoder.encode(s);
+      this.varuint(b.length);
+      this.ensure(b.length); this.bytes.set(b, this.pos); this.pos += b.length;
+    }
+    finish() { return this.bytes.slice(0, this.pos); }
+  }
+
+  class ByteReader {
+    constructor(data) {
+      this.bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+      this.view = new DataView(this.bytes.buffer, this.bytes.byteOffset, this.bytes.byteLength);
+      this.pos = 0;
+    }
+    u8() { const v = this.view.getUint8(this.pos); this.pos += 1; return v; }
+    i8() { const v = this.view.getInt8(this.pos); this.pos += 1; return v; }
+    u16() { const v = this.view.getUint16(this.pos); this.pos += 2; return v; }
+    i16() { const v = this.view.getInt16(this.pos); this.pos += 2; return v; }
+    u32() { const v = this.view.getUint32(this.pos); this.pos += 4; return v; }
+    i32() { const v = this.view.getInt32(this.pos); this.pos += 4; return v; }
+    f32() { const v = this.view.getFloat32(this.pos); this.pos += 4; return v; }
+    f64() { const v = this.view.getFloat64(this.pos); this.pos += 8; return v; }
+    varuint() {
+      let v = 0, mul = 1, b;
+      do { b = this.u8(); v += (b & 127) * mul; mul *= 128; } while (b & 128);
+      return v;
+    }
+    str() {
+      const len = this.varuint();
+      const s = textDecoder.decode(this.bytes.subarray(this.pos, this.pos + len));
+      this.pos += len;
+      return s;
+    }
+  }
+
+  function clampInt(v, min, max) { return Math.max(min, Math.min(max, Math.round(v))); }
+
+  function writeValue(w, type, v, t0) {
+    switch (type) {
+      case 'pos': w.i16(clampInt(v, -32768, 32767)); break;
+      case 'u8': w.u8(clampInt(v, 0, 255)); break;
+      case 'u16': w.u16(clampInt(v, 0, 65535)); break;
+      case 'u32': w.u32(clampInt(v, 0, 4294967295)); break;
+      case 'f32': w.f32(v); break;
+      case 'f64': w.f64(v); break;
+      case 'bool': w.u8(v ? 1 : 0); break;
+      case 'frac': w.u8(clampInt(v * 255, 0, 255)); break;
+      case 'time': w.i32(clampInt(v - t0, -2147483648, 2147483647)); break;
+      case 'str': w.str(String(v)); break;
+      case 'uint': w.varuint(v); break;
+      case 'json': w.str(JSON.stringify(v)); break;
+      default: { // enum:<name>
+        const idx = ENUMS[type.slice(5)].indexOf(v);
+        w.u8(idx === -1 ? 255 : idx);
+      }
+    }
+  }
+
+  function readValue(r, type, t0) {
+    switch (type) {
+      case 'pos': return r.i16();
+      case 'u8': return r.u8();
+      case 'u16': return r.u16();
+      case 'u32': return r.u32();
+      case 'f32': return r.f32();
+      case 'f64': return r.f64();
+      case 'bool': return r.u8() === 1;
+      case 'frac': return r.u8() / 255;
+      case 'time': return t0 + r.i32();
+      case 'str': return r.str();
+      case 'uint': return r.varuint();
+      case 'json': return JSON.parse(r.str());
+      default: {
+        const idx = r.u8();
+        return idx === 255 ? null : ENUMS[type.slice(5)][idx];
+      }
+    }
+  }
+
+  // Present fields are flagged in a leading bitmask, so partial (delta) objects stay small
+  function writeFields(w, fields, obj, t0) {
+    let mask = 0;
+    for (let i = 0; i < fields.length; i++) if (obj[fields[i][0]] !== undefined && obj[fields[i][0]] !== null) mask += 2 ** i;
+    w.varuint(mask);
+    for (let i = 0; i < fields.length; i++) if (Math.floor(mask / 2 ** i) % 2) writeValue(w, fields[i][1], obj[fields[i][0]], t0);
+  }
+
+  function readFields(r, fields, obj, t0) {
+    const mask = r.varuint();
+    for (let i = 0; i < fields.length; i++) if (Math.floor(mask / 2 ** i) % 2) obj[fields[i][0]] = readValue(r, fields[i][1], t0);
+    return obj;
+  }
+
+  function readHeader(r, kind) {
+    const version = r.u8();
+    if (version !== VERSION) throw new Error(`Unsupported protocol version ${version} (expected ${VERSION})`);
+    const k = r.u8();
+    if (k !== kind) throw new Error(`Unexpected message kind ${k}`);
+  }
+
+  /**
+   * Encode a (delta) state message: { seq, base, serverTime, boss, wave, [entityKey]: { upd, rem } }.
+   * @returns {Uint8Array}
+   */
+  function encodeState(msg) {
+    const w = new ByteWriter();
+    w.u8(VERSION); w.u8(KIND_STATE);
+    writeFields(w, STATE_FIELDS, msg, 0);
+    const t0 = msg.serverTime;
+    for (const key of ENTITY_KEYS) {
+      const d = msg[key];
+      if (!d) { w.u8(0); continue; }
+      w.u8(1);
+      const schema = ENTITY_SCHEMAS[key];
+      w.varuint(d.upd.length);
+      for (const e of d.upd) { writeValue(w, schema.id, e.id, t0); writeFields(w, schema.fields, e, t0); }
+      w.varuint(d.rem.length);
+      for (const id of d.rem) writeValue(w, schema.id, id, t0);
+    }
+    return w.finish();
+  }
+
+  /** @param {ArrayBuffer|Uint8Array} data */
+  function decodeState(data) {
+    const r = new ByteReader(data);
+    readHeader(r, KIND_STATE);
+    const msg = readFields(r, STATE_FIELDS, { boss: null, wave: null }, 0);
+    const t0 = msg.serverTime;
+    for (const key of ENTITY_KEYS) {
+      if (!r.u8()) continue;
+      const schema = ENTITY_SCHEMAS[key];
+      const upd = new Array(r.varuint());
+      for (let i = 0; i < upd.length; i++) {
+        const id = readValue(r, schema.id, t0);
+        upd[i] = readFields(r, schema.fields, { id }, t0);
+      }
+      const rem = new Array(r.varuint());
+      for (let i = 0; i < rem.length; i++) rem[i] = readValue(r, schema.id, t0);
+      msg[key] = { upd, rem };
+    }
+    return msg;
+  }
+
+  /**
+   * Encode one input sample: { seq, dt, up, down, left, right, shooting, angle, mx, my }.
+   * mx/my is the analog movement vector (-1..1 per axis); without it movement falls back to the four flags.
+   * @returns {Uint8Array}
+   */
+  function encodeInput(input) {
+    const w = new ByteWriter(16);
+    w.u8(VERSION); w.u8(KIND_INPUT);
+    w.u32(input.seq >>> 0);
+    w.u16(clampInt((input.dt || 0) * DT_SCALE, 0, 65535));
+    let flags = 0;
+    INPUT_FLAGS.forEach((f, i) => { if (input[f]) flags |= 1 << i; });
+    const hasAngle = typeof input.angle === 'number' && isFinite(input.angle);
+    const hasMove = Number.isFinite(input.mx) && Number.isFinite(input.my);
+    if (hasAngle) flags |= 1 << INPUT_FLAGS.length;
+    if (hasMove) flags |= 1 << (INPUT_FLAGS.length + 1);
+    w.u8(flags);
+    if (hasAngle) {
+      const turn = ((input.angle % (Math.PI * 2)) + Math.PI * 2) % (Math.PI * 2);
+      w.u16(Math.round((turn / (Math.PI * 2)) * ANGLE_STEPS) % ANGLE_STEPS);
+    }
+    if (hasMove) {
+      w.i8(clampInt(input.mx * MOVE_SCALE, -MOVE_SCALE, MOVE_SCALE));
+      w.i8(clampInt(input.my * MOVE_SCALE, -MOVE_SCALE, MOVE_SCALE));
+    }
+    return w.finish();
+  }
+
+  /** @param {ArrayBuffer|Uint8Array} data */
+  function decodeInput(data) {
+    const r = new ByteReader(data);
+    readHeader(r, KIND_INPUT);
+    const input = { seq: r.u32(), dt: r.u16() / DT_SCALE };
+    const flags = r.u8();
+    INPUT_FLAGS.forEach((f, i) => { input[f] = !!(flags & (1 << i)); });
+    if (flags & (1 << INPUT_FLAGS.length)) {
+      const a = (r.u16() / ANGLE_STEPS) * Math.PI * 2;
+      input.angle = a > Math.PI ? a - Math.PI * 2 : a; // back to atan2's -PI..PI range
+    }
+    if (flags & (1 << (INPUT_FLAGS.length + 1))) {
+      input.mx = r.i8() / MOVE_SCALE;
+      input.my = r.i8() / MOVE_SCALE;
+    }
+    return input;
+  }
+
+  // Replace an enum's table; both ends must set the same values in the same order
+  function setEnum(name, values) { ENUMS[name] = values.slice(0, 255); }
+
+  return { VERSION, DT_SCALE, MOVE_SCALE, ENUMS, ENTITY_SCHEMAS, ENTITY_KEYS, setEnum, encodeState, decodeState, encodeInput, decodeInput };
+});
@@ -2,7 +2,16 @@ const express = require('express');
 const http = require('http');
 const { Server } = require('socket.io');
 const path = require('path');
-const { v4: uuidv4 } = require('uuid');
+const fs = require('fs');
+const crypto = require('crypto');
+const { MAX_INPUT_DT } = require('./public/shared/movement');
+const Protocol = require('./public/shared/protocol');
+const Sim = require('./game/simulation');
+const Replay = require('./game/replay');
+const Leaderboard = require('./game/leaderboard');
+const Guard = require('./game/guard');
+const Maps = require('./game/maps');
+const { BOSS_TYPES, ABILITY_TYPES, POWERUP_TYPES, UPGRADE_TYPES, DIFFICULTY_PROFILES, countPlayers } = Sim;
 
 const app = express();
 const server = http.createServer(app);
@@ -10,558 +19,679 @@ const io = new Server(server);
 
 // Allow setting via env; we will auto-fallback on conflicts
 const START_PORT = parseInt(process.env.PORT, 10) || 3000;
+// Artificial one-way latency for testing prediction, e.g. SIM_LATENCY_MS=150 npm start
+const SIM_LATENCY_MS = parseInt(process.env.SIM_LATENCY_MS, 10) || 0;
+// RECORD_MATCHES=1 records every match, not only rooms created with "record"
+const RECORD_ALL = !!process.env.RECORD_MATCHES;
+const REPLAY_DIR = process.env.REPLAY_DIR || path.join(__dirname, 'replays');
+const STATS_FILE = process.env.STATS_FILE || path.join(__dirname, 'data', 'stats.json');
 
 app.use(express.static(path.join(__dirname, 'public')));
 
 // Constants
 const TICK_RATE = 60; // ticks per second
-const WORLD = { width: 2400, height: 1800 };
-const PLAYER_RADIUS = 16;
-const PLAYER_SPEED = 240; // units per second
-const BULLET_SPEED = 620;
-const BULLET_RADIUS = 4;
-const BULLET_LIFETIME_MS = 1200;
-
-// Enemy base
-const ENEMY_TYPES = {
-  chaser: { radius: 16, baseHp: 3, baseSpeed: 120 },
-  dasher: { radius: 18, baseHp: 4, baseSpeed: 90 },
-  orbiter: { radius: 14, baseHp: 3, baseSpeed: 130 },
-  splitter: { radius: 16, baseHp: 2, baseSpeed: 100 },
-  sniper: { radius: 15, baseHp: 2, baseSpeed: 110 },
-  mini: { radius: 10, baseHp: 1, baseSpeed: 170 }, // from splitter
-};
+const NET_RATE = parseInt(process.env.NET_RATE, 10) || 20; // state sends per second, independent of the tick
+const AOI_MARGIN = 250; // world units streamed beyond the edges of a client's viewport
+const MAX_VIEW = { w: 2560, h: 1600 };
+const NET_HISTORY = 64; // sent snapshots kept per client as delta baselines
+const NET_STATS_WINDOW_MS = 5000;
+const MAX_QUEUED_ABILITIES = 8;
+const RECONNECT_GRACE_MS = 30_000; // a dropped player's entity is held this long for the session token
+const MAX_ROOM_NAME = 24;
+const MAX_PLAYER_NAME = 16;
+const INVITE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // no 0/O or 1/I
+const MAX_CATCHUP_TICKS = 5; // after a stall, drop time rather than fast-forward
+const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4];
+const MAX_SPECTATORS = 8;
+const MAX_ROOMS = parseInt(process.env.MAX_ROOMS, 10) || 200;
 
 // Utilities
 function clamp(value, min, max) { return Math.max(min, Math.min(max, value)); }
-function dist(x1, y1, x2, y2) { return Math.hypot(x2 - x1, y2 - y1); }
-function length(x, y) { return Math.hypot(x, y); }
-function normalize(x, y) { const l = length(x, y); return l === 0 ? { x: 0, y: 0 } : { x: x / l, y: y / l }; }
-function lerp(a, b, t) { return a + (b - a) * t; }
-function randomInWorld() { return { x: Math.random() * WORLD.width, y: Math.random() * WORLD.height }; }
-function circleCollide(x1, y1, r1, x2, y2, r2) { const dx = x1 - x2; const dy = y1 - y2; const rr = r1 + r2; return dx * dx + dy * dy <= rr * rr; }
-function choice(arr) { return arr[(Math.random() * arr.length) | 0]; }
+function later(fn) { if (SIM_LATENCY_MS > 0) setTimeout(fn, SIM_LATENCY_MS); else fn(); }
 
 // Rooms
-/** @typedef {{ id:string, settings:{ maxPlayers:number, difficulty:string }, players:Record<string,any>, bullets:any[], monsters:any[], neutrals:any[], powerups:any[], bombs:any[], effects:any[], lastSpawnAt:number, lastPowerAt:number, lastNeutralAt:number, world:any }} Room */
+// Lobby fields on top of the simulation state from Sim.createRoomState()
+/** @typedef {{ id:string, name:string, code:string|null, phase:'lobby'|'playing', hostId:string|null, record:boolean, recording:object|null, spectators:Map<string, string> }} Room */
 const rooms = new Map();
 
-function createRoom(roomId, settings) {
+function newSeed() { return crypto.randomBytes(4).readUInt32LE(0); }
+
+function cleanName(value, maxLen) { return String(value ?? '').replace(/\s+/g, ' ').trim().slice(0, maxLen); }
+
+function makeInviteCode() {
+  let code;
+  do {
+    code = '';
+    for (let i = 0; i < 6; i++) code += INVITE_ALPHABET[crypto.randomInt(INVITE_ALPHABET.length)];
+  } while ([...rooms.values()].some((r) => r.code === code));
+  return code;
+}
+
+// Rooms start in the lobby; private rooms are unlisted and need their invite code
+function createRoom(settings, opts = {}) {
+  const roomId = crypto.randomBytes(4).toString('hex');
   /** @type {Room} */
   const room = {
     id: roomId,
-    settings: { maxPlayers: settings.maxPlayers || 1, difficulty: settings.difficulty || 'Normal' },
-    players: {},
-    bullets: [],
-    monsters: [],
-    neutrals: [],
-    powerups: [],
-    bombs: [],
-    effects: [],
-    lastSpawnAt: 0,
-    lastPowerAt: 0,
-    lastNeutralAt: 0,
-    world: { ...WORLD },
+    name: cleanName(opts.name, MAX_ROOM_NAME) || `Room ${roomId.slice(0, 4)}`,
+    code: opts.private ? makeInviteCode() : null,
+    phase: 'lobby',
+    hostId: null,
+    record: RECORD_ALL || !!opts.record,
+    recording: null,
+    spectators: new Map(), // socket id -> name
+    ...Sim.createRoomState(settings, newSeed()),
   };
   rooms.set(roomId, room);
   return room;
 }
 
-function getOrCreateRoom(roomId, settings) {
-  return rooms.get(roomId) || createRoom(roomId, settings);
+function findRoom(roomId, code) {
+  if (roomId) return rooms.get(String(roomId)) || null;
+  if (code) return [...rooms.values()].find((r) => r.code === String(code).toUpperCase()) || null;
+  return null;
 }
 
-function countPlayers(room) { return Object.keys(room.players).length; }
+function lobbyInfo(room) {
+  return {
+    roomId: room.id,
+    name: room.name,
+    private: !!room.code,
+    code: room.code,
+    record: room.record,
+    hostId: room.hostId,
+    phase: room.phase,
+    settings: room.settings,
+    spectators: room.spectators.size,
+    players: Object.values(room.players).map((p) => ({ id: p.id, name: p.name, color: p.color, ready: p.ready, offline: p.offline })),
+  };
+}
 
-function scaleForPlayers(room) {
-  const n = Math.max(1, countPlayers(room));
-  const f = 1 + 0.35 * (n - 1); // stronger with more players
-  return { n, factor: f };
+// What a client needs once on joining, as a player or a spectator
+function initInfo(room) {
+  return {
+    world: room.world,
+    roomId: room.id,
+    phase: room.phase,
+    settings: room.settings,
+    difficulties: DIFFICULTY_PROFILES,
+    bosses: bossInfo(),
+    ...registryInfo(),
+  };
 }
 
-function spawnMonster(room, type) {
-  const { n } = scaleForPlayers(room);
-  const MONSTER_MAX_BASE = 16;
-  const cap = MONSTER_MAX_BASE + (n - 1) * 10;
-  if (room.monsters.length >= cap) return;
-
-  const pos = randomInWorld();
-  const chosenType = type || choice(['chaser', 'dasher', 'orbiter', 'splitter', 'sniper']);
-  const spec = ENEMY_TYPES[chosenType];
-  const { factor } = scaleForPlayers(room);
-  const hp = Math.round(spec.baseHp * Math.sqrt(factor));
-  room.monsters.push({
-    id: uuidv4(),
-    type: chosenType,
-    x: pos.x,
-    y: pos.y,
-    vx: 0,
-    vy: 0,
-    radius: spec.radius,
-    hp,
-    maxHp: hp,
-    baseSpeed: spec.baseSpeed * (0.75 + 0.25 * factor),
-    state: {},
-  });
+// Ability, powerup and upgrade definitions, so the HUD never hard-codes a cooldown or color
+function registryInfo() { return { abilities: ABILITY_TYPES, powerups: POWERUP_TYPES, upgrades: UPGRADE_TYPES }; }
+Protocol.setEnum('powerup', Object.keys(POWERUP_TYPES)); // clients build the same table from registryInfo
+
+function bossInfo() { return Object.fromEntries(Object.entries(BOSS_TYPES).map(([k, b]) => [k, { name: b.name, color: b.color, shape: b.shape }])); }
+
+function broadcastLobby(room) { io.to(room.id).emit('lobby', lobbyInfo(room)); }
+
+function publicRoomList() {
+  return [...rooms.values()].filter((r) => !r.code).map((r) => ({
+    id: r.id, name: r.name, players: countPlayers(r), maxPlayers: r.settings.maxPlayers,
+    difficulty: r.settings.difficulty, mode: r.settings.mode, map: r.settings.map, phase: r.phase, spectators: r.spectators.size,
+  }));
 }
 
-function spawnNeutral(room) {
-  if (room.neutrals.length >= 12) return;
-  const pos = randomInWorld();
-  room.neutrals.push({
-    id: uuidv4(),
-    x: pos.x, y: pos.y, r: 12, hp: 2, maxHp: 2, vx: 0, vy: 0, wanderT: Math.random() * 3,
-  });
+// Everyone lands back in the lobby once the run is lost
+function endMatch(room) {
+  stopRecording(room);
+  recordResults(room);
+  room.phase = 'lobby';
+  for (const id in room.players) room.players[id].ready = false;
+  broadcastLobby(room);
 }
 
-function spawnPowerup(room) {
-  if (room.powerups.length >= 8) return;
-  const pos = randomInWorld();
-  const types = ['speed', 'firerate', 'multishot', 'heal', 'shield'];
-  const type = choice(types);
-  room.powerups.push({
-    id: uuidv4(), type, x: pos.x, y: pos.y, r: 12, expiresAt: Date.now() + 45_000,
-  });
+function findSession(token) {
+  if (typeof token !== 'string' || !token) return null;
+  for (const room of rooms.values()) {
+    for (const id in room.players) if (room.players[id].token === token) return { room, p: room.players[id] };
+  }
+  return null;
 }
 
-io.on('connection', (socket) => {
-  socket.on('join', (data) => {
-    const roomId = String(data?.roomId || 'default');
-    const settings = data?.settings || { maxPlayers: 1, difficulty: 'Normal' };
-    const room = getOrCreateRoom(roomId, settings);
+function removePlayer(room, id) {
+  playerCommand(room, 'leave', id);
+  if (room.hostId === id) room.hostId = Object.keys(room.players)[0] || null;
+  if (countPlayers(room) > 0) { broadcastLobby(room); return; }
+  closeRoom(room);
+}
 
-    if (countPlayers(room) >= room.settings.maxPlayers) {
-      socket.emit('joinDenied', { reason: 'Room full' });
-      return;
-    }
+// Spectators left in an emptied room are sent back to the menu
+function closeRoom(room) {
+  stopRecording(room);
+  rooms.delete(room.id);
+  for (const sid of room.spectators.keys()) {
+    const s = io.sockets.sockets.get(sid);
+    clients.delete(sid);
+    if (!s) continue;
+    s.data.roomId = null;
+    s.data.spectator = false;
+    s.leave(room.id);
+    s.emit('roomClosed');
+  }
+  room.spectators.clear();
+}
 
-    socket.join(roomId);
-    socket.data.roomId = roomId;
-
-    const spawn = randomInWorld();
-    room.players[socket.id] = {
-      id: socket.id,
-      x: spawn.x,
-      y: spawn.y,
-      dirX: 1,
-      dirY: 0,
-      up: false,
-      down: false,
-      left: false,
-      right: false,
-      shooting: false,
-      lastShotAt: 0,
-      color: `hsl(${Math.floor(Math.random() * 360)}, 70%, 55%)`,
-      kills: 0,
-      radius: PLAYER_RADIUS,
-      buffs: { speed: 1, firerate: 1, multishot: 1, shieldUntil: 0 },
-      abilityCd: { burst: 0, dash: 0, grenade: 0, beam: 0 },
-      dashingUntil: 0,
-      iFramesUntil: 0,
-    };
-
-    socket.emit('init', {
-      id: socket.id,
-      world: room.world,
-      roomId,
-      settings: room.settings,
-    });
-  });
+// Player actions that touch the simulation; logged when the match is being recorded
+function playerCommand(room, k, id, d) {
+  if (room.recording && room.phase === 'playing') Replay.recordCommand(room.recording, room, { k, id, d });
+  return Sim.applyCommand(room, { k, id, d });
+}
 
-  socket.on('input', (data) => {
-    const room = rooms.get(socket.data.roomId);
-    if (!room) return;
-    const p = room.players[socket.id];
-    if (!p) return;
-    p.up = !!data.up;
-    p.down = !!data.down;
-    p.left = !!data.left;
-    p.right = !!data.right;
-    p.shooting = !!data.shooting;
-    if (typeof data.angle === 'number' && isFinite(data.angle)) {
-      p.dirX = Math.cos(data.angle);
-      p.dirY = Math.sin(data.angle);
-    }
-  });
+// --------- Leaderboard ---------
+// One JSON file, read at startup and rewritten after every finished match
+let board = Leaderboard.createBoard();
+try { board = Leaderboard.loadBoard(JSON.parse(fs.readFileSync(STATS_FILE, 'utf8'))); } catch (_) {}
+let boardWrite = Promise.resolve();
+
+function saveBoard() {
+  const json = JSON.stringify(board);
+  // Chained so writes land in order; the rename keeps a crash from leaving half a file
+  boardWrite = boardWrite
+    .then(() => fs.promises.mkdir(path.dirname(STATS_FILE), { recursive: true }))
+    .then(() => fs.promises.writeFile(`${STATS_FILE}.tmp`, json))
+    .then(() => fs.promises.rename(`${STATS_FILE}.tmp`, STATS_FILE))
+    .catch((err) => console.error('Could not save stats:', err.message));
+}
 
-  socket.on('ability', (data) => {
-    const room = rooms.get(socket.data.roomId);
-    if (!room) return;
-    const p = room.players[socket.id];
-    if (!p) return;
-    useAbility(room, p, String(data?.type || ''), Date.now());
+function recordResults(room) {
+  const players = Object.values(room.players);
+  if (!players.length || !room.gameOverAt) return;
+  Leaderboard.recordMatch(board, {
+    difficulty: room.settings.difficulty,
+    mode: room.settings.mode,
+    survivedMs: room.gameOverAt - room.startedAt,
+    at: Date.now(),
+    players: players.map((p) => ({ name: p.name, kills: p.kills, stats: p.stats })),
   });
+  saveBoard();
+}
 
-  socket.on('disconnect', () => {
-    const room = rooms.get(socket.data.roomId);
-    if (!room) return;
-    delete room.players[socket.id];
-    setTimeout(() => {
-      const r = rooms.get(socket.data.roomId);
-      if (r && countPlayers(r) === 0) {
-        rooms.delete(r.id);
-      }
-    }, 10_000);
-  });
+app.get('/api/leaderboard', (req, res) => {
+  const players = parseInt(req.query.players, 10) || undefined;
+  const difficulty = req.query.difficulty ? String(req.query.difficulty) : undefined;
+  res.json(Leaderboard.topScores(board, { difficulty, players, limit: 20 }));
 });
 
-function tryShoot(room, p, now) {
-  const baseCooldown = 160;
-  const SHOT_COOLDOWN_MS = baseCooldown / p.buffs.firerate;
-  if (!p.shooting) return;
-  if (now - p.lastShotAt < SHOT_COOLDOWN_MS) return;
-  p.lastShotAt = now;
-
-  const count = p.buffs.multishot;
-  const spread = Math.min(0.35, 0.08 * (count - 1));
-  for (let i = 0; i < count; i++) {
-    const t = count === 1 ? 0 : (i / (count - 1)) * 2 - 1; // -1..1
-    const angle = Math.atan2(p.dirY, p.dirX) + spread * t;
-    const dirX = Math.cos(angle);
-    const dirY = Math.sin(angle);
-    room.bullets.push({
-      id: uuidv4(),
-      x: p.x + dirX * (PLAYER_RADIUS + BULLET_RADIUS + 1),
-      y: p.y + dirY * (PLAYER_RADIUS + BULLET_RADIUS + 1),
-      vx: dirX * BULLET_SPEED,
-      vy: dirY * BULLET_SPEED,
-      createdAt: now,
-      ownerId: p.id,
-      radius: BULLET_RADIUS,
-    });
-  }
+app.get('/api/players/:name', (req, res) => {
+  const totals = Leaderboard.playerTotals(board, req.params.name);
+  if (!totals) { res.status(404).json({ error: 'No games recorded for that name' }); return; }
+  res.json(totals);
+});
+
+// --------- Replays ---------
+const replayIndex = new Map(); // id -> summary, for listing without reading every file
+
+function replayPath(id) { return /^[\w-]+$/.test(id) ? path.join(REPLAY_DIR, `${id}.json`) : null; }
+
+function startRecording(room) {
+  if (!room.record) return;
+  const id = `${Date.now().toString(36)}-${room.id}`;
+  room.recording = Replay.createRecording(room, { id, name: room.name, createdAt: Date.now(), dt: 1 / TICK_RATE });
 }
 
-function nearestPlayer(room, from) {
-  let target = null;
-  let best = Infinity;
-  for (const id in room.players) {
-    const p = room.players[id];
-    const d = dist(from.x, from.y, p.x, p.y);
-    if (d < best) { best = d; target = p; }
-  }
-  return target;
+function stopRecording(room) {
+  const rec = room.recording;
+  if (!rec) return;
+  room.recording = null;
+  Replay.finishRecording(rec, room);
+  if (rec.endTick === 0) return;
+  fs.promises.mkdir(REPLAY_DIR, { recursive: true })
+    .then(() => fs.promises.writeFile(replayPath(rec.id), JSON.stringify(rec)))
+    .then(() => replayIndex.set(rec.id, Replay.summarize(rec)))
+    .catch((err) => console.error(`Could not save replay ${rec.id}:`, err.message));
 }
 
-function updateEnemies(room, dt, now) {
-  for (let i = room.monsters.length - 1; i >= 0; i--) {
-    const m = room.monsters[i];
-    const p = nearestPlayer(room, m);
-    const speed = m.baseSpeed;
-    if (!p) continue;
-
-    switch (m.type) {
-      case 'chaser': {
-        const to = normalize(p.x - m.x, p.y - m.y);
-        m.vx = lerp(m.vx, to.x * speed, 0.08);
-        m.vy = lerp(m.vy, to.y * speed, 0.08);
-        m.x += m.vx * dt;
-        m.y += m.vy * dt;
-        break;
-      }
-      case 'dasher': {
-        const st = m.state;
-        if (!st.mode) { st.mode = 'windup'; st.timer = 0; }
-        st.timer += dt;
-        if (st.mode === 'windup') {
-          const to = normalize(p.x - m.x, p.y - m.y);
-          const tangent = { x: -to.y, y: to.x };
-          m.x += (to.x * 40 + tangent.x * 70) * dt;
-          m.y += (to.y * 40 + tangent.y * 70) * dt;
-          if (st.timer > 0.8) {
-            st.mode = 'dash';
-            st.timer = 0;
-            const dir = normalize(p.x - m.x, p.y - m.y);
-            st.dx = dir.x; st.dy = dir.y;
-          }
-        } else if (st.mode === 'dash') {
-          const dashSpeed = speed * 3.2;
-          m.x += st.dx * dashSpeed * dt;
-          m.y += st.dy * dashSpeed * dt;
-          if (st.timer > 0.28) { st.mode = 'windup'; st.timer = 0; }
-        }
-        break;
-      }
-      case 'orbiter': {
-        const st = m.state;
-        const desired = 160 + 40 * Math.sin(now / 500 + (st.seed || 0));
-        const d = dist(m.x, m.y, p.x, p.y);
-        const to = normalize(p.x - m.x, p.y - m.y);
-        const tangent = { x: -to.y, y: to.x };
-        const inward = (d - desired);
-        m.x += (tangent.x * speed + to.x * (-inward * 0.8)) * dt;
-        m.y += (tangent.y * speed + to.y * (-inward * 0.8)) * dt;
-        break;
-      }
-      case 'splitter': {
-        const st = m.state;
-        if (!st.cool) st.cool = 0;
-        st.cool -= dt;
-        if (st.cool <= 0) {
-          const to = normalize(p.x - m.x, p.y - m.y);
-          const rand = normalize(Math.random() - 0.5, Math.random() - 0.5);
-          m.vx = (to.x * 0.8 + rand.x * 0.4) * speed * 2.0;
-          m.vy = (to.y * 0.8 + rand.y * 0.4) * speed * 2.0;
-          st.cool = 0.6;
-        }
-        m.x += m.vx * dt;
-        m.y += m.vy * dt;
-        m.vx *= 0.86; m.vy *= 0.86;
-        break;
-      }
-      case 'sniper': {
-        const d = dist(m.x, m.y, p.x, p.y);
-        const to = normalize(p.x - m.x, p.y - m.y);
-        const tangent = { x: -to.y, y: to.x };
-        const desired = 420;
-        const away = (desired - d);
-        m.x += (tangent.x * speed * 1.1 + to.x * (-away * 0.8)) * dt;
-        m.y += (tangent.y * speed * 1.1 + to.y * (-away * 0.8)) * dt;
-        break;
-      }
-      case 'mini': {
-        const to = normalize(p.x - m.x, p.y - m.y);
-        m.x += to.x * speed * dt;
-        m.y += to.y * speed * dt;
-        break;
-      }
-    }
+async function loadReplay(id) {
+  const file = replayPath(String(id));
+  if (!file) return null;
+  try { return JSON.parse(await fs.promises.readFile(file, 'utf8')); } catch (_) { return null; }
+}
+
+// Index whatever is already on disk
+fs.promises.readdir(REPLAY_DIR).then(async (files) => {
+  for (const f of files) {
+    if (!f.endsWith('.json')) continue;
+    const rec = await loadReplay(f.slice(0, -5));
+    if (rec && rec.version === Replay.REPLAY_VERSION) replayIndex.set(rec.id, Replay.summarize(rec));
+  }
+}).catch(() => {});
+
+app.get('/api/replays', (req, res) => {
+  res.json([...replayIndex.values()].sort((a, b) => b.createdAt - a.createdAt));
+});
 
-    // Keep in bounds
-    m.x = clamp(m.x, m.radius, room.world.width - m.radius);
-    m.y = clamp(m.y, m.radius, room.world.height - m.radius);
+app.get('/api/replays/:id', (req, res) => {
+  const file = replayIndex.has(req.params.id) && replayPath(req.params.id);
+  if (!file) { res.status(404).json({ error: 'Replay not found' }); return; }
+  res.sendFile(file);
+});
+
+// Simulation events go out as-is, except hits: there can be dozens a tick, so they share one `hits` message
+function emitEvents(target, events) {
+  const hits = [];
+  for (const ev of events) {
+    if (ev.type === 'hit') hits.push(ev.data);
+    else target.emit(ev.type, ev.data);
   }
+  if (hits.length) target.emit('hits', hits);
+}
+
+// Replay viewers re-run the match here and get the same state stream as players
+const viewers = new Set();
+
+function sendReplayFrame(v) {
+  const snap = Replay.frame(v.pb);
+  const msg = { seq: ++v.seq, base: 0, serverTime: snap.serverTime, boss: snap.boss, wave: snap.wave };
+  for (const key of ENTITY_KEYS) msg[key] = { upd: snap[key] || [], rem: [] }; // keyframes from older recordings may lack a kind
+  v.socket.emit('replayStatus', { tick: v.pb.tick, time: Replay.timeAt(v.pb), playing: v.playing, speed: v.speed, mode: v.pb.mode });
+  v.socket.emit('state', v.proto === 'json' ? msg : Protocol.encodeState(msg));
 }
 
-function applyPowerup(p, type, now) {
-  switch (type) {
-    case 'speed': p.buffs.speed = Math.min(1.8, p.buffs.speed + 0.3); setTimeout(() => { p.buffs.speed = Math.max(1, p.buffs.speed - 0.3); }, 10_000); break;
-    case 'firerate': p.buffs.firerate = Math.min(2.0, p.buffs.firerate + 0.4); setTimeout(() => { p.buffs.firerate = Math.max(1, p.buffs.firerate - 0.4); }, 10_000); break;
-    case 'multishot': p.buffs.multishot = Math.min(5, p.buffs.multishot + 1); setTimeout(() => { p.buffs.multishot = Math.max(1, p.buffs.multishot - 1); }, 12_000); break;
-    case 'heal': p.kills += 1; break;
-    case 'shield': p.buffs.shieldUntil = Math.max(p.buffs.shieldUntil, now + 6000); break;
+function updateViewer(v) {
+  if (v.playing) {
+    v.carry += v.speed * TICK_RATE / NET_RATE;
+    const ticks = Math.floor(v.carry);
+    v.carry -= ticks;
+    // gameOver would pop the client's end-of-match screen; the status tells it the replay ended
+    emitEvents(v.socket, Replay.advance(v.pb, ticks).filter((ev) => ev.type !== 'gameOver'));
+    if (Replay.ended(v.pb)) v.playing = false;
   }
+  sendReplayFrame(v);
 }
 
-function useAbility(room, p, type, now) {
-  const cd = p.abilityCd;
-  switch (type) {
-    case 'burst': {
-      const COOLDOWN = 3000;
-      if (now < cd.burst) return;
-      cd.burst = now + COOLDOWN;
-      const base = Math.atan2(p.dirY, p.dirX);
-      const num = 9; const span = Math.PI / 2.4; // wide cone
-      for (let i = 0; i < num; i++) {
-        const t = num === 1 ? 0 : (i / (num - 1)) * 2 - 1;
-        const a = base + t * span * 0.5;
-        const dx = Math.cos(a), dy = Math.sin(a);
-        room.bullets.push({ id: uuidv4(), x: p.x + dx * 20, y: p.y + dy * 20, vx: dx * (BULLET_SPEED * 0.9), vy: dy * (BULLET_SPEED * 0.9), createdAt: now, ownerId: p.id, radius: BULLET_RADIUS + 1 });
-      }
-      break;
+app.get('/api/rooms', (req, res) => { res.json(publicRoomList()); });
+
+// The controls screen lists abilities before any room is joined
+app.get('/api/registry', (req, res) => { res.json(registryInfo()); });
+
+// Maps to offer when creating a room
+app.get('/api/maps', (req, res) => { res.json(Maps.mapSummaries()); });
+
+io.on('connection', (socket) => {
+  // Every handler below goes through the guard: schema, rate limit, strikes (game/guard.js)
+  const on = Guard.guardSocket(socket);
+
+  on('listRooms', (_, ack) => { if (typeof ack === 'function') ack(publicRoomList()); });
+
+  on('createRoom', (data, ack) => {
+    if (typeof ack !== 'function') return;
+    if (rooms.size >= MAX_ROOMS) { ack({ error: 'The server has too many rooms open, try again later' }); return; }
+    const room = createRoom(data?.settings || {}, { name: data?.name, private: !!data?.private, record: !!data?.record });
+    ack({ roomId: room.id, code: room.code });
+    // Nobody joined within the grace period: drop it
+    setTimeout(() => { if (rooms.get(room.id) === room && countPlayers(room) === 0) closeRoom(room); }, 30_000);
+  });
+
+  on('join', (data) => {
+    if (socket.data.roomId) return;
+    const room = findRoom(data?.roomId, data?.code);
+    if (!room) {
+      socket.emit('joinDenied', { reason: 'Room not found' });
+      return;
     }
-    case 'dash': {
-      const COOLDOWN = 6000;
-      if (now < cd.dash) return;
-      cd.dash = now + COOLDOWN;
-      // trail effect
-      const before = { x: p.x, y: p.y };
-      p.dashingUntil = now + 240;
-      p.iFramesUntil = now + 360;
-      p.x += p.dirX * 60; p.y += p.dirY * 60;
-      room.effects.push({ id: uuidv4(), type: 'dash', x1: before.x, y1: before.y, x2: p.x, y2: p.y, until: now + 220 });
-      break;
+    if (room.code && String(data?.code || '').toUpperCase() !== room.code) {
+      socket.emit('joinDenied', { reason: 'This room is private: check your invite code' });
+      return;
     }
-    case 'grenade': {
-      const COOLDOWN = 5000;
-      if (now < cd.grenade) return;
-      cd.grenade = now + COOLDOWN;
-      const dx = p.dirX, dy = p.dirY;
-      room.bombs.push({ id: uuidv4(), x: p.x + dx * 20, y: p.y + dy * 20, vx: dx * 260, vy: dy * 260, explodeAt: now + 900, radius: 120, ownerId: p.id });
-      break;
+    if (data?.spectate) {
+      if (room.spectators.size >= MAX_SPECTATORS) socket.emit('joinDenied', { reason: 'Too many spectators' });
+      else attachSpectator(room, cleanName(data?.name, MAX_PLAYER_NAME) || 'Spectator', data?.proto);
+      return;
     }
-    case 'beam': {
-      const COOLDOWN = 8000;
-      if (now < cd.beam) return;
-      cd.beam = now + COOLDOWN;
-      const x1 = p.x, y1 = p.y;
-      const x2 = p.x + p.dirX * 800, y2 = p.y + p.dirY * 800;
-      const thickness = 18;
-      for (let i = room.monsters.length - 1; i >= 0; i--) {
-        const m = room.monsters[i];
-        const A = { x: x1, y: y1 }, B = { x: x2, y: y2 }, P = { x: m.x, y: m.y };
-        const ABx = B.x - A.x, ABy = B.y - A.y;
-        const t = Math.max(0, Math.min(1, ((P.x - A.x) * ABx + (P.y - A.y) * ABy) / (ABx * ABx + ABy * ABy)));
-        const Cx = A.x + ABx * t, Cy = A.y + ABy * t;
-        const d = dist(P.x, P.y, Cx, Cy);
-        if (d <= m.radius + thickness) {
-          m.hp -= 2;
-          if (m.hp <= 0) {
-            room.monsters.splice(i, 1);
-            p.kills += 1;
-          }
-        }
-      }
-      room.effects.push({ id: uuidv4(), type: 'beam', x1, y1, x2, y2, until: now + 150 });
-      break;
+    if (countPlayers(room) >= room.settings.maxPlayers) {
+      socket.emit('joinDenied', { reason: 'Room full', canSpectate: room.spectators.size < MAX_SPECTATORS });
+      return;
     }
-  }
-}
 
-function updateRoom(room, dt, now) {
-  const { factor } = scaleForPlayers(room);
-
-  // Spawns
-  const MONSTER_SPAWN_INTERVAL_MS_BASE = 2400;
-  const spawnInterval = MONSTER_SPAWN_INTERVAL_MS_BASE / factor;
-  if (now - room.lastSpawnAt > spawnInterval) { room.lastSpawnAt = now; spawnMonster(room); }
-
-  if (now - room.lastPowerAt > 6000) { room.lastPowerAt = now; spawnPowerup(room); }
-  if (now - room.lastNeutralAt > 7000) { room.lastNeutralAt = now; spawnNeutral(room); }
-
-  // Move players
-  for (const id in room.players) {
-    const p = room.players[id];
-    const inputX = (p.right ? 1 : 0) - (p.left ? 1 : 0);
-    const inputY = (p.down ? 1 : 0) - (p.up ? 1 : 0);
-    const dir = normalize(inputX, inputY);
-    const dashBoost = now < p.dashingUntil ? 3.2 : 1;
-    const speed = PLAYER_SPEED * p.buffs.speed * dashBoost;
-    p.x += dir.x * speed * dt;
-    p.y += dir.y * speed * dt;
-    p.x = clamp(p.x, p.radius, room.world.width - p.radius);
-    p.y = clamp(p.y, p.radius, room.world.height - p.radius);
-    tryShoot(room, p, now);
+    // The nickname is the player's identity (color, leaderboard), so one per room
+    const taken = (n) => Object.values(room.players).some((p) => p.name.toLowerCase() === n.toLowerCase());
+    let name = cleanName(data?.name, MAX_PLAYER_NAME);
+    if (name && taken(name)) {
+      socket.emit('joinDenied', { reason: `Someone in this room is already called ${name}` });
+      return;
+    }
+    for (let i = 1; !name || taken(name); i++) name = `Player ${i}`;
+    const p = playerCommand(room, 'join', null, { name });
+    p.token = crypto.randomBytes(16).toString('hex');
+    p.offlineAt = 0;
+    p.ready = false;
+    if (!room.hostId) room.hostId = p.id;
+    attachPlayer(room, p, data?.proto);
+  }, () => socket.emit('joinDenied', { reason: 'Room not found' }));
+
+  // A dropped client presents its session token to take its entity back
+  on('resume', (data) => {
+    if (socket.data.roomId) return;
+    const found = findSession(data?.token);
+    if (!found) {
+      socket.emit('resumeFailed', { reason: 'Session expired' });
+      return;
+    }
+    const { room, p } = found;
+    // The old socket may not have noticed the drop yet
+    const old = p.socketId && io.sockets.sockets.get(p.socketId);
+    if (old) { old.data.roomId = null; clients.delete(old.id); old.disconnect(true); }
+    p.offlineAt = 0;
+    playerCommand(room, 'online', p.id);
+    attachPlayer(room, p, data?.proto);
+  }, () => socket.emit('resumeFailed', { reason: 'Session expired' }));
+
+  function attachPlayer(room, p, wantProto) {
+    socket.join(room.id);
+    socket.data.roomId = room.id;
+    socket.data.playerId = p.id;
+    socket.data.spectator = false;
+    p.socketId = socket.id;
+
+    // Binary state unless the client asked for JSON (debugging via ?proto=json)
+    addClient(room, p.id, wantProto);
+    socket.emit('init', { id: p.id, token: p.token, ...initInfo(room) });
+    broadcastLobby(room);
   }
 
-  // Enemies
-  updateEnemies(room, dt, now);
-
-  // Bombs
-  for (let i = room.bombs.length - 1; i >= 0; i--) {
-    const b = room.bombs[i];
-    b.x += b.vx * dt; b.y += b.vy * dt; b.vx *= 0.98; b.vy *= 0.98;
-    if (now >= b.explodeAt) {
-      for (let j = room.monsters.length - 1; j >= 0; j--) {
-        const m = room.monsters[j];
-        if (dist(b.x, b.y, m.x, m.y) <= b.radius + m.radius) {
-          m.hp -= 3;
-          if (m.hp <= 0) { room.monsters.splice(j, 1); }
-        }
-      }
-      room.effects.push({ id: uuidv4(), type: 'explosion', x: b.x, y: b.y, r: b.radius, until: now + 220 });
-      room.bombs.splice(i, 1);
-    }
+  // Spectators get the state stream but no entity; their camera is theirs to move
+  function attachSpectator(room, name, wantProto) {
+    socket.join(room.id);
+    socket.data.roomId = room.id;
+    socket.data.spectator = true;
+    room.spectators.set(socket.id, name);
+    addClient(room, null, wantProto);
+    socket.emit('init', { id: null, spectator: true, ...initInfo(room) });
+    broadcastLobby(room);
   }
 
-  for (let i = room.effects.length - 1; i >= 0; i--) { if (room.effects[i].until <= now) room.effects.splice(i, 1); }
+  function addClient(room, playerId, wantProto) {
+    // Binary state unless the client asked for JSON (debugging via ?proto=json)
+    const proto = wantProto === 'json' ? 'json' : 'bin';
+    clients.set(socket.id, { socket, roomId: room.id, playerId, proto, seq: 0, acked: 0, history: new Map(), view: { w: 1280, h: 800 }, center: null });
+  }
 
-  // Move bullets and cull
-  for (let i = room.bullets.length - 1; i >= 0; i--) {
-    const b = room.bullets[i];
-    b.x += b.vx * dt; b.y += b.vy * dt;
-    const expired = now - b.createdAt > BULLET_LIFETIME_MS;
-    const outOfBounds = b.x < -50 || b.y < -50 || b.x > room.world.width + 50 || b.y > room.world.height + 50;
-    if (expired || outOfBounds) { room.bullets.splice(i, 1); continue; }
+  function dropSpectator(room) {
+    socket.data.spectator = false;
+    if (room.spectators.delete(socket.id)) broadcastLobby(room);
   }
 
-  // Collisions bullets vs monsters
-  for (let i = room.bullets.length - 1; i >= 0; i--) {
-    const b = room.bullets[i];
-    let hit = false;
-    for (let j = room.monsters.length - 1; j >= 0; j--) {
-      const m = room.monsters[j];
-      if (circleCollide(b.x, b.y, b.radius, m.x, m.y, m.radius)) {
-        m.hp -= 1; hit = true;
-        if (m.hp <= 0) {
-          const owner = room.players[b.ownerId]; if (owner) owner.kills += 1;
-          if (m.type === 'splitter') {
-            for (let k = 0; k < 2; k++) {
-              const mini = { ...ENEMY_TYPES['mini'] };
-              const hp = mini.baseHp;
-              room.monsters.push({ id: uuidv4(), type: 'mini', x: m.x + (Math.random() - 0.5) * 20, y: m.y + (Math.random() - 0.5) * 20, vx: 0, vy: 0, radius: mini.radius, hp, maxHp: hp, baseSpeed: mini.baseSpeed, state: {} });
-            }
-          }
-          room.monsters.splice(j, 1);
-        }
-        break;
-      }
+  on('setReady', (data) => {
+    const room = rooms.get(socket.data.roomId);
+    const p = room && room.players[socket.data.playerId];
+    if (!p || room.phase !== 'lobby') return;
+    p.ready = !!data?.ready;
+    broadcastLobby(room);
+  });
+
+  // Host only, once everyone else is ready
+  on('startMatch', () => {
+    const room = rooms.get(socket.data.roomId);
+    if (!room || room.phase !== 'lobby' || room.hostId !== socket.data.playerId) return;
+    if (Object.values(room.players).some((p) => p.id !== room.hostId && !p.ready && !p.offline)) return;
+    Sim.resetRoom(room, newSeed());
+    room.phase = 'playing';
+    startRecording(room);
+    io.to(room.id).emit('matchStart', {});
+    broadcastLobby(room);
+  });
+
+  // Inputs are sequence-numbered samples covering `dt` seconds each; they are
+  // queued and consumed by the tick so the client can replay what was not yet acked
+  on('input', (raw) => later(() => {
+    const room = rooms.get(socket.data.roomId);
+    if (!room) return;
+    const p = room.players[socket.data.playerId];
+    if (!p || !raw) return;
+    let data = raw;
+    if (raw instanceof ArrayBuffer || ArrayBuffer.isView(raw)) {
+      try { data = Protocol.decodeInput(raw); } catch (_) { return; }
     }
-    if (hit) room.bullets.splice(i, 1);
-  }
+    const seq = Number(data.seq);
+    if (!Number.isInteger(seq) || seq <= p.lastInputSeq) return;
+    playerCommand(room, 'input', p.id, {
+      seq,
+      dt: typeof data.dt === 'number' && isFinite(data.dt) ? clamp(data.dt, 0, MAX_INPUT_DT) : 0,
+      up: !!data.up,
+      down: !!data.down,
+      left: !!data.left,
+      right: !!data.right,
+      shooting: !!data.shooting,
+      angle: typeof data.angle === 'number' && isFinite(data.angle) ? data.angle : null,
+      // Analog movement, when the client sends it, takes over from the four flags
+      ...(Number.isFinite(data.mx) && Number.isFinite(data.my) ? { mx: clamp(data.mx, -1, 1), my: clamp(data.my, -1, 1) } : {}),
+    });
+  }));
 
-  // Player vs powerups
-  for (const id in room.players) {
-    const p = room.players[id];
-    for (let i = room.powerups.length - 1; i >= 0; i--) {
-      const u = room.powerups[i];
-      if (u.expiresAt <= now) { room.powerups.splice(i, 1); continue; }
-      if (circleCollide(p.x, p.y, p.radius, u.x, u.y, u.r)) {
-        applyPowerup(p, u.type, now);
-        room.powerups.splice(i, 1);
-      }
+  // Used on the next tick, like movement input
+  on('ability', (data) => later(() => {
+    const room = rooms.get(socket.data.roomId);
+    if (!room) return;
+    const p = room.players[socket.data.playerId];
+    if (!p || room.phase !== 'playing' || p.abilityQueue.length >= MAX_QUEUED_ABILITIES) return;
+    playerCommand(room, 'ability', p.id, String(data?.type || ''));
+  }));
+
+  // A level-up pick; only what the player is being offered gets through
+  on('upgrade', (data) => later(() => {
+    const room = rooms.get(socket.data.roomId);
+    if (!room) return;
+    const p = room.players[socket.data.playerId];
+    if (!p || room.phase !== 'playing' || !p.offer.includes(data.type) || p.upgradeQueue.length) return;
+    playerCommand(room, 'upgrade', p.id, data.type);
+  }));
+
+  // Client applied snapshot `seq`; later deltas are built against it
+  on('ack', (seq) => later(() => {
+    const c = clients.get(socket.id);
+    if (!c || !Number.isInteger(seq) || seq <= c.acked || !c.history.has(seq)) return;
+    c.acked = seq;
+    for (const s of c.history.keys()) if (s < seq) c.history.delete(s);
+  }));
+
+  on('view', (data) => later(() => {
+    const c = clients.get(socket.id);
+    if (!c || !data) return;
+    const w = Number(data.w), h = Number(data.h);
+    if (isFinite(w) && isFinite(h)) c.view = { w: clamp(w, 320, MAX_VIEW.w), h: clamp(h, 240, MAX_VIEW.h) };
+    // Spectators stream around their own camera
+    const room = rooms.get(c.roomId);
+    const x = Number(data.x), y = Number(data.y);
+    if (!c.playerId && room && isFinite(x) && isFinite(y)) c.center = { x: clamp(x, 0, room.world.width), y: clamp(y, 0, room.world.height) };
+  }));
+
+  // Explicit leave: the slot is freed right away
+  on('leave', () => {
+    const room = rooms.get(socket.data.roomId);
+    clients.delete(socket.id);
+    socket.data.roomId = null;
+    if (!room) return;
+    socket.leave(room.id);
+    if (socket.data.spectator) dropSpectator(room);
+    else removePlayer(room, socket.data.playerId);
+  });
+
+  on('watchReplay', async (data) => {
+    if (socket.data.roomId || socket.data.viewer) return;
+    const rec = await loadReplay(data?.id);
+    if (!rec || socket.disconnected) { socket.emit('replayError', { reason: 'Replay not found' }); return; }
+    let pb;
+    try { pb = Replay.createPlayback(rec); } catch (err) { socket.emit('replayError', { reason: err.message }); return; }
+    const v = { socket, pb, playing: true, speed: 1, carry: 0, seq: 0, proto: data?.proto === 'json' ? 'json' : 'bin' };
+    socket.data.viewer = v;
+    viewers.add(v);
+    socket.emit('replayInfo', {
+      ...Replay.summarize(rec),
+      totalTicks: rec.endTick,
+      tickRate: Math.round(1 / rec.dt),
+      keyframeMs: rec.keyframeTicks * rec.dt * 1000,
+      world: rec.world,
+      bosses: bossInfo(),
+      ...registryInfo(),
+    });
+  }, () => socket.emit('replayError', { reason: 'Replay not found' }));
+
+  on('replayControl', (data) => {
+    const v = socket.data.viewer;
+    if (!v || !data) return;
+    if (typeof data.playing === 'boolean') v.playing = data.playing && !Replay.ended(v.pb);
+    if (REPLAY_SPEEDS.includes(data.speed)) v.speed = data.speed;
+    if (Number.isInteger(data.seek)) {
+      Replay.seek(v.pb, data.seek);
+      v.carry = 0;
+      socket.emit('replaySeek', { tick: v.pb.tick });
+      sendReplayFrame(v);
     }
-  }
+  });
+
+  // Dropped connections keep their entity frozen for the grace period
+  socket.on('disconnect', () => {
+    if (socket.data.viewer) viewers.delete(socket.data.viewer);
+    clients.delete(socket.id);
+    const room = rooms.get(socket.data.roomId);
+    if (room && socket.data.spectator) { dropSpectator(room); return; }
+    const p = room && room.players[socket.data.playerId];
+    if (!p || p.socketId !== socket.id) return;
+    p.offlineAt = Date.now();
+    playerCommand(room, 'offline', p.id);
+    broadcastLobby(room);
+    setTimeout(() => {
+      if (rooms.get(room.id) === room && room.players[p.id] === p && p.offline && p.offlineAt <= Date.now() - RECONNECT_GRACE_MS) removePlayer(room, p.id);
+    }, RECONNECT_GRACE_MS);
+  });
+});
+
+// --------- Networking: per-client area-of-interest deltas ---------
+// Each client gets the entities around its camera, diffed against the last
+// snapshot it acked: changed fields of known entities, whole new ones, and
+// removed ids. Players are always included (the HUD needs them); world and
+// settings only go out once, in `init`.
+const ENTITY_KEYS = Protocol.ENTITY_KEYS;
+
+/** @type {Map<string, { socket:any, roomId:string, playerId:string|null, proto:'bin'|'json', seq:number, acked:number, history:Map<number, Record<string, Map<string|number, any>>>, view:{ w:number, h:number }, center:{ x:number, y:number }|null }>} */
+const clients = new Map();
 
-  // Neutrals wander and can be hit by bullets
-  for (const n of room.neutrals) {
-    n.wanderT -= dt;
-    if (n.wanderT <= 0) { n.wanderT = 1 + Math.random() * 2.5; const dir = normalize(Math.random() - 0.5, Math.random() - 0.5); n.vx = dir.x * 80; n.vy = dir.y * 80; }
-    n.x += n.vx * dt; n.y += n.vy * dt; n.vx *= 0.98; n.vy *= 0.98;
-    n.x = clamp(n.x, n.r, room.world.width - n.r);
-    n.y = clamp(n.y, n.r, room.world.height - n.r);
+function entityInView(e, cx, cy, hw, hh) {
+  if (e.x1 !== undefined) { // line effects (beam, dash, aim)
+    return Math.max(e.x1, e.x2) >= cx - hw && Math.min(e.x1, e.x2) <= cx + hw && Math.max(e.y1, e.y2) >= cy - hh && Math.min(e.y1, e.y2) <= cy + hh;
   }
-  for (let i = room.bullets.length - 1; i >= 0; i--) {
-    const b = room.bullets[i];
-    for (let j = room.neutrals.length - 1; j >= 0; j--) {
-      const n = room.neutrals[j];
-      if (circleCollide(b.x, b.y, b.radius, n.x, n.y, n.r)) {
-        n.hp -= 1; room.bullets.splice(i, 1);
-        if (n.hp <= 0) { room.neutrals.splice(j, 1); }
-        break;
+  const r = e.r || 0;
+  return Math.abs(e.x - cx) <= hw + r && Math.abs(e.y - cy) <= hh + r;
+}
+
+function sameValue(a, b) {
+  if (a === b) return true;
+  return typeof b === 'object' && b !== null && JSON.stringify(a) === JSON.stringify(b);
+}
+
+function buildClientMessage(c, room, snap) {
+  const me = room.players[c.playerId];
+  const center = me || c.center || { x: room.world.width / 2, y: room.world.height / 2 };
+  const cx = center.x, cy = center.y;
+  const hw = c.view.w / 2 + AOI_MARGIN, hh = c.view.h / 2 + AOI_MARGIN;
+  const base = c.acked ? c.history.get(c.acked) : null;
+
+  const seq = ++c.seq;
+  const msg = { seq, base: base ? c.acked : 0, serverTime: snap.serverTime, boss: snap.boss, wave: snap.wave };
+  const sent = {};
+  for (const key of ENTITY_KEYS) {
+    const visible = key === 'players' ? snap[key] : snap[key].filter((e) => entityInView(e, cx, cy, hw, hh));
+    const prev = base ? base[key] : new Map();
+    const current = new Map();
+    const upd = [];
+    for (const e of visible) {
+      current.set(e.id, e);
+      const old = prev.get(e.id);
+      if (!old) { upd.push(e); continue; }
+      let changed = null;
+      for (const k in e) {
+        if (!sameValue(old[k], e[k])) { if (!changed) changed = { id: e.id }; changed[k] = e[k]; }
       }
+      if (changed) upd.push(changed);
     }
+    const rem = [];
+    for (const id of prev.keys()) if (!current.has(id)) rem.push(id);
+    if (upd.length || rem.length) msg[key] = { upd, rem };
+    sent[key] = current;
   }
 
-  // Monsters collide with players -> respawn & penalty (unless shield/iFrames)
-  for (const id in room.players) {
-    const p = room.players[id];
-    let collided = false;
-    for (const m of room.monsters) {
-      if (circleCollide(p.x, p.y, p.radius, m.x, m.y, m.radius)) { collided = true; break; }
-    }
-    if (collided && now > p.iFramesUntil && now > p.buffs.shieldUntil) {
-      const pos = randomInWorld(); p.x = pos.x; p.y = pos.y; p.kills = Math.max(0, p.kills - 1); p.iFramesUntil = now + 1000;
-    }
-  }
+  c.history.set(seq, sent);
+  if (c.history.size > NET_HISTORY) c.history.delete(c.history.keys().next().value);
+  return msg;
 }
 
-function snapshot(room) {
-  return {
-    players: Object.values(room.players).map((p) => ({ id: p.id, x: Math.round(p.x), y: Math.round(p.y), color: p.color, kills: p.kills, r: p.radius, cd: p.abilityCd, buffs: { speed: p.buffs.speed, firerate: p.buffs.firerate, multishot: p.buffs.multishot, shieldUntil: p.buffs.shieldUntil } })),
-    bullets: room.bullets.map((b) => ({ x: Math.round(b.x), y: Math.round(b.y), r: b.radius })),
-    monsters: room.monsters.map((m) => ({ id: m.id, x: Math.round(m.x), y: Math.round(m.y), r: m.radius, hp: m.hp, maxHp: m.maxHp, type: m.type })),
-    neutrals: room.neutrals.map((n) => ({ x: Math.round(n.x), y: Math.round(n.y), r: n.r, hp: n.hp, maxHp: n.maxHp })),
-    powerups: room.powerups.map((u) => ({ id: u.id, type: u.type, x: Math.round(u.x), y: Math.round(u.y), r: u.r })),
-    bombs: room.bombs.map((b) => ({ x: Math.round(b.x), y: Math.round(b.y), r: 8 })),
-    effects: room.effects.slice(0),
-    world: room.world,
-    serverTime: Date.now(),
-    settings: room.settings,
+// Bytes actually sent vs. what the old full-snapshot-every-tick broadcast would cost
+const netStats = { windowStart: Date.now(), bytes: 0, legacyBytes: 0, rooms: new Map(), last: null };
+
+function recordNetBytes(room, bytes, legacyBytes) {
+  netStats.bytes += bytes;
+  netStats.legacyBytes += legacyBytes;
+  netStats.rooms.set(room.id, (netStats.rooms.get(room.id) || 0) + bytes);
+}
+
+function rollNetStats(now) {
+  const secs = (now - netStats.windowStart) / 1000;
+  if (secs * 1000 < NET_STATS_WINDOW_MS) return;
+  const perRoom = {};
+  for (const [id, bytes] of netStats.rooms) perRoom[id] = Math.round(bytes / secs);
+  netStats.last = {
+    bytesPerSec: Math.round(netStats.bytes / secs),
+    legacyBytesPerSec: Math.round(netStats.legacyBytes / secs),
+    savings: netStats.legacyBytes ? 1 - netStats.bytes / netStats.legacyBytes : 0,
+    rooms: perRoom,
+    clients: clients.size,
   };
+  if (process.env.NET_STATS) console.log(`[net] ${netStats.last.bytesPerSec} B/s sent (${Math.round(netStats.last.savings * 100)}% below full snapshots)`);
+  netStats.windowStart = now; netStats.bytes = 0; netStats.legacyBytes = 0; netStats.rooms.clear();
 }
 
+app.get('/stats', (req, res) => {
+  res.json({ net: netStats.last, rooms: rooms.size, tickRate: TICK_RATE, netRate: NET_RATE });
+});
+
+function broadcastState(room) {
+  const snap = Sim.snapshot(room);
+  const roomClients = [...clients.values()].filter((c) => c.roomId === room.id);
+  if (roomClients.length === 0) return;
+  const legacySize = Buffer.byteLength(JSON.stringify({ ...snap, world: room.world, settings: room.settings }));
+  let bytes = 0;
+  for (const c of roomClients) {
+    const msg = buildClientMessage(c, room, snap);
+    const payload = c.proto === 'json' ? msg : Protocol.encodeState(msg);
+    bytes += c.proto === 'json' ? Buffer.byteLength(JSON.stringify(msg)) : payload.byteLength;
+    later(() => c.socket.emit('state', payload));
+  }
+  recordNetBytes(room, bytes, legacySize * roomClients.length * (TICK_RATE / NET_RATE));
+}
+
+// Fixed timestep: the simulation always advances in whole ticks of simulated time
+const TICK_MS = 1000 / TICK_RATE;
 let last = Date.now();
+let pending = 0;
 setInterval(() => {
   const now = Date.now();
-  const dt = (now - last) / 1000;
+  pending = Math.min(pending + (now - last), TICK_MS * MAX_CATCHUP_TICKS);
   last = now;
+  const ticks = Math.floor(pending / TICK_MS);
+  pending -= ticks * TICK_MS;
+  if (ticks === 0) return;
 
   for (const room of rooms.values()) {
-    updateRoom(room, dt, now);
-    io.to(room.id).emit('state', snapshot(room));
+    if (room.phase !== 'playing') continue;
+    for (let i = 0; i < ticks && !room.gameOverAt; i++) {
+      Sim.step(room, 1 / TICK_RATE);
+      if (room.recording) Replay.recordTick(room.recording, room);
+    }
+    const events = room.events.splice(0);
+    if (events.length) later(() => emitEvents(io.to(room.id), events));
+    if (room.gameOverAt) endMatch(room);
   }
-}, 1000 / TICK_RATE);
+}, TICK_MS);
+
+setInterval(() => {
+  for (const room of rooms.values()) if (room.phase === 'playing') broadcastState(room);
+  for (const v of viewers) updateViewer(v);
+  rollNetStats(Date.now());
+}, 1000 / NET_RATE);
 
 // Robust startup: auto-fallback to next ports if busy
 (function startListening(startPort, maxAttempts) {
@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Guard = require('../game/guard');
+const Protocol = require('../public/shared/protocol');
+
+// Just enough of a socket.io socket: `fire` plays a message from the client
+function fakeSocket() {
+  const listeners = {};
+  return {
+    id: 'sock1',
+    handshake: { address: '10.0.0.1' },
+    emitted: [],
+    disconnected: false,
+    on(event, fn) { listeners[event] = fn; },
+    emit(event, data) { this.emitted.push([event, data]); },
+    disconnect() { this.disconnected = true; },
+    fire(event, ...args) { listeners[event](...args); },
+  };
+}
+
+// A guarded socket on a hand-wound clock, with every handler call recorded
+function guarded() {
+  const socket = fakeSocket();
+  const clock = { t: 0 };
+  const logs = [];
+  const on = Guard.guardSocket(socket, { log: (m) => logs.push(m), now: () => clock.t });
+  const calls = [];
+  for (const event of Object.keys(Guard.SCHEMAS)) on(event, (data, ack) => calls.push([event, data, ack]));
+  return { socket, clock, logs, calls };
+}
+
+test('well-formed messages reach their handlers', () => {
+  const { socket, calls } = guarded();
+  socket.fire('join', { roomId: '0a1b2c3d', code: null, spectate: false, name: 'Ana', proto: 'bin' });
+  socket.fire('input', { seq: 1, dt: 0.016, up: true, down: false, left: false, right: false, shooting: true, angle: 1.2, mx: 0, my: -1 });
+  socket.fire('input', Protocol.encodeInput({ seq: 2, dt: 0.016, angle: 0 }));
+  socket.fire('ability', { type: 'dash' });
+  socket.fire('upgrade', { type: 'pierce' });
+  socket.fire('ack', 7);
+  socket.fire('startMatch');
+  const ack = () => {};
+  socket.fire('listRooms', ack);
+  assert.deepStrictEqual(calls.map((c) => c[0]), ['join', 'input', 'input', 'ability', 'upgrade', 'ack', 'startMatch', 'listRooms']);
+  assert.strictEqual(calls[7][2], ack, 'a lone callback is passed as the ack');
+  assert.strictEqual(socket.disconnected, false);
+});
+
+test('malicious payloads are dropped before the handler', () => {
+  const { socket, calls } = guarded();
+  const acks = [];
+  socket.fire('createRoom', { settings: { maxPlayers: 1000 } }, (r) => acks.push(r));
+  socket.fire('createRoom', { settings: { maxPlayers: 2, difficulty: 'Impossible' } }, (r) => acks.push(r));
+  socket.fire('join', { roomId: '../../etc/passwd' });
+  socket.fire('join', { roomId: { $ne: null } });
+  socket.fire('join', { roomId: '0a1b2c3d', name: 'x'.repeat(10_000) });
+  socket.fire('join', JSON.parse('{ "roomId": "0a1b2c3d", "__proto__": { "admin": true } }'));
+  socket.fire('join', { roomId: '0a1b2c3d', extra: 1 });
+  socket.fire('input', { seq: 3, dt: 1e9 });
+  socket.fire('input', { seq: 'NaN', up: 'yes' });
+  socket.fire('input', new Uint8Array(10_000));
+  socket.fire('ability', { type: 'nuke' });
+  socket.fire('upgrade', { type: 'godmode' });
+  socket.fire('ack', 1.5);
+  socket.fire('view', { w: Infinity, h: 1 });
+  socket.fire('setReady', [true]);
+  assert.deepStrictEqual(calls, []);
+  assert.deepStrictEqual(acks, [{ error: 'malformed createRoom' }, { error: 'malformed createRoom' }]);
+});
+
+test('each event has its own token bucket', () => {
+  const { socket, clock, calls } = guarded();
+  const [rate, burst] = Guard.RATES.ability;
+  for (let i = 0; i < burst + 5; i++) socket.fire('ability', { type: 'burst' });
+  assert.strictEqual(calls.length, burst);
+  socket.fire('ack', 1);
+  assert.strictEqual(calls.length, burst + 1, 'acks are limited separately');
+  clock.t += 1000 / rate;
+  socket.fire('ability', { type: 'burst' });
+  assert.strictEqual(calls.length, burst + 2, 'a token came back with time');
+});
+
+test('rejections go to the reject callback instead of an ack', () => {
+  const socket = fakeSocket();
+  const on = Guard.guardSocket(socket, { log: () => {} });
+  const rejected = [];
+  on('join', () => assert.fail('handler ran'), (reason) => rejected.push(reason));
+  socket.fire('join', { roomId: 42 });
+  assert.deepStrictEqual(rejected, ['malformed join']);
+});
+
+test('a flooding client is disconnected with a logged reason', () => {
+  const { socket, logs } = guarded();
+  const [, strikes] = Guard.STRIKE_RATE;
+  for (let i = 0; i < strikes; i++) socket.fire('ability', { type: 'nuke' });
+  assert.strictEqual(socket.disconnected, false, 'a few mistakes are tolerated');
+  for (let i = 0; i < 200; i++) socket.fire('input', { seq: i + 1, dt: 0.016 });
+  assert.strictEqual(socket.disconnected, true);
+  assert.strictEqual(logs.length, 1);
+  assert.match(logs[0], /sock1 \(10\.0\.0\.1\): rate limit on input/);
+  assert.deepStrictEqual(socket.emitted, [['kicked', { reason: 'rate limit on input' }]]);
+});
+
+test('views and acks over their rate are dropped without a strike', () => {
+  const { socket, clock, calls } = guarded();
+  // A window edge dragged for 5 s fires resize, and a view, every frame
+  for (let i = 0; i < 300; i++) {
+    clock.t = i * 16;
+    socket.fire('view', { w: 800 + i, h: 600 });
+    socket.fire('ack', i + 1);
+  }
+  assert.strictEqual(socket.disconnected, false);
+  assert.ok(calls.length > 0 && calls.length < 600, 'only the ones within the rate got through');
+});
+
+test('strikes heal over time', () => {
+  const { socket, clock } = guarded();
+  const [rate, strikes] = Guard.STRIKE_RATE;
+  for (let round = 0; round < 3; round++) {
+    for (let i = 0; i < strikes - 1; i++) socket.fire('ability', { type: 'nuke' });
+    clock.t += (strikes / rate) * 1000;
+  }
+  assert.strictEqual(socket.disconnected, false);
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Board = require('../game/leaderboard');
+
+function stats(kills = {}) { return { killsByType: kills, damageDealt: 10, abilitiesUsed: 2, powerupsCollected: 1 }; }
+
+function match(players, opts = {}) {
+  return { difficulty: 'Normal', mode: 'endless', survivedMs: 60_000, at: 1, ...opts, players };
+}
+
+test('scores are ranked by kills then survival, per difficulty and player count', () => {
+  const board = Board.createBoard();
+  Board.recordMatch(board, match([{ name: 'Ana', kills: 5, stats: stats() }]));
+  Board.recordMatch(board, match([{ name: 'Bo', kills: 5, stats: stats() }], { survivedMs: 90_000 }));
+  Board.recordMatch(board, match([{ name: 'Cy', kills: 9, stats: stats() }, { name: 'Di', kills: 1, stats: stats() }]));
+  Board.recordMatch(board, match([{ name: 'Ed', kills: 20, stats: stats() }], { difficulty: 'Hard' }));
+
+  assert.deepStrictEqual(Board.topScores(board, { difficulty: 'Normal', players: 1 }).map((s) => s.name), ['Bo', 'Ana']);
+  assert.deepStrictEqual(Board.topScores(board, { players: 2 }).map((s) => s.name), ['Cy', 'Di']);
+  assert.strictEqual(Board.topScores(board)[0].name, 'Ed');
+});
+
+test('totals add up per nickname, ignoring case', () => {
+  const board = Board.createBoard();
+  Board.recordMatch(board, match([{ name: 'Ana', kills: 3, stats: stats({ chaser: 3 }) }]));
+  Board.recordMatch(board, match([{ name: 'ana', kills: 4, stats: stats({ chaser: 1, warden: 1 }) }], { survivedMs: 30_000 }));
+
+  const t = Board.playerTotals(board, 'ANA');
+  assert.strictEqual(t.matches, 2);
+  assert.strictEqual(t.kills, 7);
+  assert.deepStrictEqual(t.killsByType, { chaser: 4, warden: 1 });
+  assert.strictEqual(t.timePlayedMs, 90_000);
+  assert.strictEqual(t.bestKills, 4);
+  assert.strictEqual(Board.playerTotals(board, 'nobody'), null);
+});
+
+test('each bucket keeps only its best scores', () => {
+  const board = Board.createBoard();
+  for (let i = 0; i < Board.MAX_SCORES_PER_BUCKET + 5; i++) Board.recordMatch(board, match([{ name: `P${i}`, kills: i, stats: stats() }]));
+  Board.recordMatch(board, match([{ name: 'Hard', kills: 0, stats: stats() }], { difficulty: 'Hard' }));
+
+  assert.strictEqual(board.scores.length, Board.MAX_SCORES_PER_BUCKET + 1);
+  assert.strictEqual(Board.topScores(board, { difficulty: 'Normal', limit: 100 }).pop().kills, 5);
+  assert.deepStrictEqual(Board.loadBoard({ version: 0 }), Board.createBoard());
+});
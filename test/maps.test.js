@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Maps = require('../game/maps');
+const Sim = require('../game/simulation');
+
+test('every shipped map loads and plays', () => {
+  assert.strictEqual(Object.keys(Maps.MAPS)[0], Maps.DEFAULT_MAP);
+  for (const id in Maps.MAPS) {
+    const room = Sim.createRoomState({ maxPlayers: 4, difficulty: 'Insane', map: id }, 9);
+    for (const pid of ['a', 'b', 'c', 'd']) room.players[pid] = Sim.createPlayer(room, pid, pid);
+    Sim.resetRoom(room);
+    assert.strictEqual(room.settings.map, id);
+    for (let i = 0; i < 60 * 20; i++) Sim.step(room, 1 / 60);
+    assert.ok(room.monsters.length > 0, `${id}: nothing spawned`);
+  }
+});
+
+test('unknown maps fall back to the default', () => {
+  const room = Sim.createRoomState({ map: 'nowhere' });
+  assert.strictEqual(room.settings.map, Maps.DEFAULT_MAP);
+  assert.strictEqual(Sim.createRoomState({ map: 'toString' }).settings.map, Maps.DEFAULT_MAP);
+});
+
+test('broken map files are rejected with the reason', () => {
+  const ok = { width: 1000, height: 800 };
+  assert.deepStrictEqual(Maps.parseMap(ok, 'plain').obstacles, []);
+  assert.throws(() => Maps.parseMap({ width: 50, height: 800 }, 'tiny'), /width and height/);
+  assert.throws(() => Maps.parseMap({ ...ok, obstacles: [{ type: 'hexagon', x: 1, y: 1 }] }, 'odd'), /obstacle 0 has an unknown type/);
+  assert.throws(() => Maps.parseMap({ ...ok, obstacles: [{ type: 'circle', x: 1, y: 1, r: -4 }] }, 'neg'), /positive r/);
+  assert.throws(() => Maps.parseMap({ ...ok, spawns: { players: [{ x: 900, y: 0, w: 200, h: 10 }] } }, 'out'), /spawns.players 0 is outside the map/);
+});
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Protocol = require('../public/shared/protocol');
+const Sim = require('../game/simulation');
+
+const T0 = 1_754_000_000_000;
+
+Protocol.setEnum('powerup', Object.keys(Sim.POWERUP_TYPES)); // as server.js does
+
+test('state round-trips a full snapshot', () => {
+  const msg = {
+    seq: 42,
+    base: 0,
+    serverTime: T0,
+    boss: { id: 7, bossType: 'warden', hp: 80, maxHp: 90, phase: 0, thresholds: [0.6, 0.25, 0] },
+    wave: null,
+    players: {
+      upd: [{
+        id: 'abc123', x: 100, y: 1799, color: 'hsl(10, 70%, 55%)', kills: 3, hp: 64, maxHp: 100, downed: false,
+        revive: 0, iFramesUntil: T0 + 500, dashingUntil: 0, ack: 991, r: 16,
+        cd: { burst: T0 + 1200, dash: 0, grenade: 0, beam: 0 }, buffs: { speed: 1.3, firerate: 1, multishot: 2, shieldUntil: 0 },
+        level: 4, xp: 7, xpNext: 17, offer: ['pierce', 'blast', 'damage'], upgrades: { damage: 1, pierce: 0, bounce: 2, cooldown: 0, blast: 0 },
+      }],
+      rem: [],
+    },
+    monsters: { upd: [{ id: 12, x: 5, y: 6, r: 46, hp: 80.5, maxHp: 90, type: 'boss', bossType: 'warden' }, { id: 13, x: -20, y: 30, r: 10, hp: 1, maxHp: 1, type: 'mini' }], rem: [3, 4] },
+    powerups: { upd: [{ id: 99, type: 'shield', x: 10, y: 20, r: 12 }], rem: [] },
+    orbs: { upd: [{ id: 101, x: 30, y: 40, r: 7 }], rem: [98] },
+    effects: { upd: [{ id: 300, type: 'aim', x1: 1.4, y1: 2, x2: 700.6, y2: 2, from: T0 - 100, until: T0 + 600 }], rem: [] },
+  };
+
+  const out = Protocol.decodeState(Protocol.encodeState(msg));
+  assert.strictEqual(out.seq, 42);
+  assert.strictEqual(out.base, 0);
+  assert.strictEqual(out.serverTime, T0);
+  assert.deepStrictEqual(out.boss, msg.boss);
+  assert.strictEqual(out.wave, null);
+
+  const p = out.players.upd[0];
+  assert.strictEqual(p.id, 'abc123');
+  assert.strictEqual(p.x, 100);
+  assert.strictEqual(p.downed, false);
+  assert.strictEqual(p.iFramesUntil, T0 + 500);
+  assert.deepStrictEqual(p.cd, msg.players.upd[0].cd);
+  assert.ok(Math.abs(p.buffs.speed - 1.3) < 1e-9);
+  assert.deepStrictEqual([p.level, p.xp, p.xpNext, p.offer], [4, 7, 17, ['pierce', 'blast', 'damage']]);
+  assert.deepStrictEqual(p.upgrades, msg.players.upd[0].upgrades);
+
+  assert.deepStrictEqual(out.monsters.upd[0], msg.monsters.upd[0]);
+  assert.deepStrictEqual(out.monsters.upd[1], msg.monsters.upd[1]);
+  assert.deepStrictEqual(out.monsters.rem, [3, 4]);
+  assert.deepStrictEqual(out.powerups.upd[0], msg.powerups.upd[0]);
+  assert.deepStrictEqual(out.orbs, msg.orbs);
+  // Positions are quantized to whole units
+  assert.deepStrictEqual(out.effects.upd[0], { id: 300, type: 'aim', x1: 1, y1: 2, x2: 701, y2: 2, from: T0 - 100, until: T0 + 600 });
+  assert.strictEqual(out.bullets, undefined);
+});
+
+test('state keeps partial (delta) entities partial', () => {
+  const msg = { seq: 8, base: 7, serverTime: T0, boss: null, wave: null, monsters: { upd: [{ id: 5, x: 20 }], rem: [] } };
+  const out = Protocol.decodeState(Protocol.encodeState(msg));
+  assert.deepStrictEqual(out.monsters.upd, [{ id: 5, x: 20 }]);
+  assert.strictEqual(out.base, 7);
+});
+
+test('unknown enum values decode to null instead of throwing', () => {
+  const msg = { seq: 1, base: 0, serverTime: T0, effects: { upd: [{ id: 1, type: 'mystery', x: 0, y: 0 }], rem: [] } };
+  const out = Protocol.decodeState(Protocol.encodeState(msg));
+  assert.strictEqual(out.effects.upd[0].type, null);
+});
+
+test('powerup types travel as one byte indexing the registry table', () => {
+  const msg = (type) => ({ seq: 1, base: 0, serverTime: T0, powerups: { upd: [{ id: 1, type, x: 0, y: 0, r: 12 }], rem: [] } });
+  const short = Protocol.encodeState(msg('heal'));
+  assert.strictEqual(Protocol.encodeState(msg('multishot')).byteLength, short.byteLength);
+  assert.strictEqual(Protocol.decodeState(short).powerups.upd[0].type, 'heal');
+  assert.strictEqual(Protocol.decodeState(Protocol.encodeState(msg('mystery'))).powerups.upd[0].type, null);
+});
+
+test('binary state is smaller than JSON', () => {
+  const monsters = [];
+  for (let i = 1; i <= 60; i++) monsters.push({ id: i, x: i * 31, y: i * 17, r: 16, hp: 3, maxHp: 3, type: 'chaser' });
+  const msg = { seq: 1, base: 0, serverTime: T0, boss: null, wave: null, monsters: { upd: monsters, rem: [] } };
+  assert.ok(Protocol.encodeState(msg).byteLength < JSON.stringify(msg).length / 3);
+});
+
+test('input round-trips flags, dt and a quantized angle', () => {
+  const input = { seq: 123456, dt: 0.0167, up: true, down: false, left: true, right: false, shooting: true, angle: -2.5 };
+  const out = Protocol.decodeInput(Protocol.encodeInput(input));
+  assert.strictEqual(out.seq, 123456);
+  assert.strictEqual(out.dt, 0.0167);
+  assert.deepStrictEqual([out.up, out.down, out.left, out.right, out.shooting], [true, false, true, false, true]);
+  assert.ok(Math.abs(out.angle - input.angle) < 1e-3);
+});
+
+test('input carries a quantized analog movement vector', () => {
+  const out = Protocol.decodeInput(Protocol.encodeInput({ seq: 1, dt: 0.01, mx: 0.5, my: -1 }));
+  assert.strictEqual(out.mx, 64 / Protocol.MOVE_SCALE);
+  assert.strictEqual(out.my, -1);
+});
+
+test('input without an angle or movement vector leaves them unset', () => {
+  const out = Protocol.decodeInput(Protocol.encodeInput({ seq: 1, dt: 0.01 }));
+  assert.strictEqual(out.angle, undefined);
+  assert.strictEqual(out.mx, undefined);
+  assert.strictEqual(out.shooting, false);
+});
+
+test('decoders reject other schema versions', () => {
+  const bytes = Protocol.encodeInput({ seq: 1, dt: 0.01 });
+  bytes[0] = Protocol.VERSION + 1;
+  assert.throws(() => Protocol.decodeInput(bytes), /Unsupported protocol version/);
+  const state = Protocol.encodeState({ seq: 1, base: 0, serverTime: T0 });
+  assert.throws(() => Protocol.decodeInput(state), /Unexpected message kind/);
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Sim = require('../game/simulation');
+const Replay = require('../game/replay');
+
+const DT = 1 / 60;
+
+// Plays a scripted two-player match the way the server does: commands go
+// through Sim.applyCommand and are logged, every step is followed by recordTick.
+function recordMatch(ticks) {
+  const room = Sim.createRoomState({ maxPlayers: 3, difficulty: 'Hard', mode: 'endless' }, 5);
+  room.time = 12_345;
+  room.players.a = Sim.createPlayer(room, 'a', 'A');
+  room.players.b = Sim.createPlayer(room, 'b', 'B');
+  Sim.resetRoom(room, 777);
+  const rec = Replay.createRecording(room, { id: 'test', dt: DT });
+  const command = (k, id, d) => { Replay.recordCommand(rec, room, { k, id, d }); Sim.applyCommand(room, { k, id, d }); };
+
+  for (let i = 0; i < ticks && !room.gameOverAt; i++) {
+    if (i === 200) command('join', null, { name: 'Late' }); // the sim picks the id, as it does for the server
+    if (i === 400) command('offline', 'b');
+    if (i === 700) command('online', 'b');
+    for (const id of Object.keys(room.players)) {
+      command('input', id, { seq: i + 1, dt: DT, up: i % 200 < 90, down: false, left: i % 150 < 40, right: i % 300 < 150, shooting: true, angle: i / 30 });
+      if (i % 120 === 0) command('ability', id, ['burst', 'grenade', 'beam', 'dash'][(i / 120) % 4]);
+    }
+    Sim.step(room, DT);
+    Replay.recordTick(rec, room);
+  }
+  Replay.finishRecording(rec, room);
+  // Replays go through a JSON file
+  return { rec: JSON.parse(JSON.stringify(rec)), final: JSON.parse(JSON.stringify(Sim.snapshot(room))) };
+}
+
+test('re-simulation reproduces the recorded match', () => {
+  const { rec, final } = recordMatch(1500);
+  const pb = Replay.createPlayback(rec);
+  Replay.advance(pb, rec.endTick);
+  assert.ok(Replay.ended(pb));
+  assert.strictEqual(pb.mode, 'resim');
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(Replay.frame(pb))), final);
+});
+
+test('a player who joined mid-match gets the same id on replay', () => {
+  const { rec, final } = recordMatch(400);
+  const late = final.players.find((p) => p.name === 'Late');
+  assert.ok(late, 'the late joiner is in the match');
+  const pb = Replay.createPlayback(rec);
+  Replay.advance(pb, rec.endTick);
+  assert.strictEqual(pb.mode, 'resim');
+  assert.strictEqual(Replay.frame(pb).players.find((p) => p.name === 'Late').id, late.id);
+});
+
+test('seeking backwards and forwards lands on the same state', () => {
+  const { rec } = recordMatch(1500);
+  const pb = Replay.createPlayback(rec);
+  Replay.seek(pb, 1300);
+  const at1300 = JSON.stringify(Replay.frame(pb));
+  Replay.seek(pb, 250);
+  assert.strictEqual(pb.tick, 250);
+  Replay.seek(pb, 1300);
+  assert.strictEqual(JSON.stringify(Replay.frame(pb)), at1300);
+});
+
+test('falls back to keyframes once the re-simulation drifts', () => {
+  const { rec } = recordMatch(600);
+  rec.keyframes[5].snap.players[0].x += 1; // tick 300 no longer matches
+  const pb = Replay.createPlayback(rec);
+  Replay.seek(pb, 299);
+  assert.strictEqual(pb.mode, 'resim');
+  Replay.advance(pb, 1);
+  assert.strictEqual(pb.mode, 'keyframes');
+  Replay.advance(pb, 130);
+  assert.deepStrictEqual(Replay.frame(pb), rec.keyframes[7].snap);
+
+  // Seeking back before the drift re-simulates again
+  Replay.seek(pb, 100);
+  assert.strictEqual(pb.mode, 'resim');
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { io } = require('socket.io-client');
+
+// The real server in a child process, on a free port near a random one, with its files in a temp dir
+function startServer(env = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'server-test-'));
+  const child = spawn(process.execPath, ['server.js'], {
+    cwd: path.join(__dirname, '..'),
+    env: { ...process.env, PORT: String(20000 + Math.floor(Math.random() * 20000)), STATS_FILE: path.join(dir, 'stats.json'), REPLAY_DIR: path.join(dir, 'replays'), ...env },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  return new Promise((resolve, reject) => {
+    let out = '';
+    child.on('exit', (code) => reject(new Error(`server exited with ${code}: ${out}`)));
+    child.stdout.on('data', (chunk) => {
+      out += chunk;
+      const m = /listening on (http:\/\/\S+)/.exec(out);
+      if (m) resolve({ url: m[1], close: () => { child.removeAllListeners('exit'); child.kill(); fs.rmSync(dir, { recursive: true, force: true }); } });
+    });
+  });
+}
+
+function connect(url) {
+  const socket = io(url, { transports: ['websocket'], reconnection: false });
+  return new Promise((resolve, reject) => { socket.on('connect', () => resolve(socket)); socket.on('connect_error', reject); });
+}
+
+// Emit with an ack callback and wait for the answer
+function ask(socket, event, data) { return new Promise((resolve) => socket.emit(event, data, resolve)); }
+
+// The next `event` whose payload passes `pred`
+function next(socket, event, pred = () => true) {
+  return new Promise((resolve) => { const fn = (d) => { if (pred(d)) { socket.off(event, fn); resolve(d); } }; socket.on(event, fn); });
+}
+
+test('the room cap and malformed payloads are enforced by the real handlers', { timeout: 10_000 }, async (t) => {
+  const server = await startServer({ MAX_ROOMS: '2' });
+  t.after(server.close);
+  const socket = await connect(server.url);
+  t.after(() => socket.close());
+
+  assert.deepStrictEqual(await ask(socket, 'createRoom', { name: 'x', settings: { maxPlayers: 1000 } }), { error: 'malformed createRoom' });
+  assert.deepStrictEqual(await ask(socket, 'createRoom', JSON.parse('{ "name": "x", "__proto__": { "admin": true } }')), { error: 'malformed createRoom' });
+  assert.deepStrictEqual(await ask(socket, 'listRooms'), [], 'nothing was created');
+
+  // Fresh sockets for these, as createRoom is rate limited per socket
+  const answers = [];
+  for (const name of ['one', 'two', 'three']) {
+    const s = await connect(server.url);
+    t.after(() => s.close());
+    answers.push(await ask(s, 'createRoom', { name }));
+  }
+  assert.ok(answers[0].roomId && answers[1].roomId);
+  assert.match(answers[2].error, /too many rooms/);
+  assert.deepStrictEqual((await ask(socket, 'listRooms')).map((r) => r.name).sort(), ['one', 'two']);
+});
+
+test('a client that keeps sending garbage is kicked, and the server carries on', { timeout: 10_000 }, async (t) => {
+  const server = await startServer();
+  t.after(server.close);
+  const bad = await connect(server.url);
+  t.after(() => bad.close());
+
+  const kicked = new Promise((resolve) => bad.on('kicked', resolve));
+  const gone = new Promise((resolve) => bad.on('disconnect', resolve));
+  for (let i = 0; i < 30; i++) bad.emit('join', { roomId: '../../etc/passwd' });
+  assert.match((await kicked).reason, /join/);
+  await gone;
+
+  const good = await connect(server.url);
+  t.after(() => good.close());
+  assert.ok(Array.isArray(await ask(good, 'listRooms')));
+});
+
+test('a spectator whose room closed can come back as a player and drop offline like one', { timeout: 10_000 }, async (t) => {
+  const server = await startServer();
+  t.after(server.close);
+  const [host, bea, cy] = await Promise.all([connect(server.url), connect(server.url), connect(server.url)]);
+  t.after(() => { host.close(); bea.close(); cy.close(); });
+
+  const first = await ask(host, 'createRoom', { name: 'first' });
+  host.emit('join', { roomId: first.roomId, name: 'Host' });
+  await next(host, 'init');
+  bea.emit('join', { roomId: first.roomId, spectate: true, name: 'Bea' });
+  await next(bea, 'init');
+  const closed = next(bea, 'roomClosed');
+  host.emit('leave');
+  await closed;
+
+  const second = await ask(bea, 'createRoom', { name: 'second', settings: { maxPlayers: 2 } });
+  bea.emit('join', { roomId: second.roomId, name: 'Bea' });
+  await next(bea, 'init');
+  cy.emit('join', { roomId: second.roomId, name: 'Cy' });
+  await next(cy, 'init');
+  const offline = next(cy, 'lobby', (l) => l.players.some((p) => p.name === 'Bea' && p.offline));
+  bea.close();
+  await offline;
+});
@@ -0,0 +1,391 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Sim = require('../game/simulation');
+const Maps = require('../game/maps');
+const Navigation = require('../game/navigation');
+
+const DT = 1 / 60;
+
+// A started room with the given players placed where the test wants them
+function makeRoom(settings = {}, seed = 1) {
+  const room = Sim.createRoomState({ maxPlayers: 1, difficulty: 'Normal', mode: 'endless', ...settings }, seed);
+  room.players.p1 = Sim.createPlayer(room, 'p1', 'Tester');
+  Sim.resetRoom(room);
+  // Keep the scripted scenes free of spawns
+  room.lastSpawnAt = room.lastPowerAt = room.lastNeutralAt = Infinity;
+  return room;
+}
+
+function place(room, id, x, y) { Object.assign(room.players[id], { x, y }); return room.players[id]; }
+
+function addMonster(room, type, x, y) {
+  const m = Sim.spawnMonster(room, type, { at: { x, y } });
+  m.x = x; m.y = y;
+  return m;
+}
+
+function runScript(seed) {
+  const room = Sim.createRoomState({ maxPlayers: 2, difficulty: 'Hard', mode: 'waves' }, seed);
+  room.players.a = Sim.createPlayer(room, 'a', 'A');
+  room.players.b = Sim.createPlayer(room, 'b', 'B');
+  Sim.resetRoom(room);
+  for (let i = 0; i < 60 * 30; i++) {
+    for (const p of Object.values(room.players)) {
+      p.inputQueue.push({ seq: i + 1, dt: DT, up: i % 240 < 120, down: false, left: false, right: i % 360 < 180, shooting: true, angle: i / 40 });
+      if (i % 90 === 0) p.abilityQueue.push(['burst', 'dash', 'grenade', 'beam'][(i / 90) % 4]);
+    }
+    Sim.step(room, DT);
+  }
+  return Sim.snapshot(room);
+}
+
+test('same seed and inputs give the same run', () => {
+  assert.deepStrictEqual(runScript(1234), runScript(1234));
+  assert.notDeepStrictEqual(runScript(1234), runScript(99));
+});
+
+test('time only advances through step', () => {
+  const room = makeRoom();
+  assert.strictEqual(room.time, 0);
+  Sim.step(room, 0.5);
+  Sim.step(room, 0.25);
+  assert.strictEqual(room.time, 750);
+  assert.strictEqual(Sim.snapshot(room).serverTime, 750);
+});
+
+test('killing a splitter spawns two minis', () => {
+  const room = makeRoom();
+  const p = place(room, 'p1', 200, 200);
+  const m = addMonster(room, 'splitter', 260, 200);
+  m.hp = 1;
+  p.inputQueue.push({ seq: 1, dt: DT, up: false, down: false, left: false, right: false, shooting: true, angle: 0 });
+  for (let i = 0; i < 10 && room.monsters.includes(m); i++) Sim.step(room, DT);
+
+  assert.ok(!room.monsters.includes(m), 'splitter should be dead');
+  const minis = room.monsters.filter((x) => x.type === 'mini');
+  assert.strictEqual(minis.length, 2);
+  assert.strictEqual(p.kills, 1);
+  assert.deepStrictEqual(p.stats.killsByType, { splitter: 1 });
+  assert.strictEqual(p.stats.damageDealt, 1);
+});
+
+test('grenade and beam kills go through the same pipeline as shots', () => {
+  const room = makeRoom();
+  const p = place(room, 'p1', 200, 200);
+  p.dirX = 1; p.dirY = 0;
+  const chaser = addMonster(room, 'chaser', 900, 900);
+  room.bombs.push({ id: 999, x: 900, y: 900, vx: 0, vy: 0, explodeAt: room.time, radius: 120, damage: 3, ownerId: 'p1' });
+  chaser.hp = 3;
+  const splitter = addMonster(room, 'splitter', 400, 200);
+  splitter.hp = 2;
+  p.abilityQueue.push('beam');
+  Sim.step(room, DT);
+
+  assert.ok(!room.monsters.includes(chaser) && !room.monsters.includes(splitter));
+  assert.strictEqual(p.kills, 2);
+  assert.strictEqual(room.monsters.filter((m) => m.type === 'mini').length, 2, 'beam kills split too');
+  const kills = room.events.filter((e) => e.type === 'kill').map((e) => [e.data.type, e.data.by, e.data.source]);
+  assert.deepStrictEqual(kills.sort(), [['chaser', 'p1', 'grenade'], ['splitter', 'p1', 'beam']]);
+  assert.ok(room.events.some((e) => e.type === 'hit' && e.data.id === chaser.id && e.data.amount === 3));
+});
+
+test('neutrals killed by bullets drop a powerup', () => {
+  const room = makeRoom();
+  const n = { id: 500, x: 300, y: 300, r: 12, hp: 1, maxHp: 1, vx: 0, vy: 0, wanderT: 10 };
+  room.neutrals.push(n);
+  assert.ok(Sim.damageNeutral(room, n, 1, room.players.p1, 'shot'));
+  assert.strictEqual(room.neutrals.length, 0);
+  assert.strictEqual(room.powerups.length, 1);
+  assert.deepStrictEqual(room.events.map((e) => e.type), ['hit', 'kill']);
+});
+
+test('analog input scales movement; keys move at full speed', () => {
+  const room = makeRoom();
+  const p = place(room, 'p1', 500, 500);
+  p.inputQueue.push({ seq: 1, dt: 0.1, up: false, down: false, left: false, right: false, shooting: false, angle: null, mx: 0.5, my: 0 });
+  Sim.step(room, 0.1);
+  const half = p.x - 500;
+  p.inputQueue.push({ seq: 2, dt: 0.1, up: false, down: false, left: false, right: true, shooting: false, angle: null });
+  Sim.step(room, 0.1);
+  assert.ok(half > 0);
+  assert.ok(Math.abs(p.x - 500 - half * 3) < 1e-6, 'the key step should cover twice the half-tilt step');
+});
+
+test('shield blocks contact damage', () => {
+  const room = makeRoom();
+  const p = place(room, 'p1', 500, 500);
+  Sim.applyPowerup(p, 'shield', room.time);
+  p.iFramesUntil = 0;
+  addMonster(room, 'chaser', 505, 500);
+  Sim.step(room, DT);
+  assert.strictEqual(p.hp, p.maxHp);
+
+  // Once the shield runs out the same contact hurts
+  p.buffs.shieldUntil = 0;
+  Sim.step(room, DT);
+  assert.ok(p.hp < p.maxHp);
+});
+
+test('timed buffs expire from state, one pickup at a time', () => {
+  const room = makeRoom();
+  const p = room.players.p1;
+  Sim.applyPowerup(p, 'speed', room.time);
+  for (let i = 0; i < 60 * 5; i++) Sim.step(room, DT);
+  Sim.applyPowerup(p, 'speed', room.time);
+  assert.ok(Math.abs(p.buffs.speed - 1.6) < 1e-9);
+
+  for (let i = 0; i < 60 * 6; i++) Sim.step(room, DT); // first pickup is past its 10 s
+  assert.ok(Math.abs(p.buffs.speed - 1.3) < 1e-9);
+  for (let i = 0; i < 60 * 5; i++) Sim.step(room, DT);
+  assert.strictEqual(p.buffs.speed, 1);
+  assert.strictEqual(p.timedBuffs.length, 0);
+});
+
+test('abilities queue until the next step and respect cooldowns', () => {
+  const room = makeRoom();
+  const p = room.players.p1;
+  p.abilityQueue.push('burst', 'burst');
+  assert.strictEqual(room.bullets.length, 0);
+  Sim.step(room, DT);
+  assert.strictEqual(room.bullets.length, 9);
+  assert.strictEqual(p.abilityQueue.length, 0);
+  assert.strictEqual(p.stats.abilitiesUsed, 1, 'the second burst was on cooldown');
+});
+
+test('a registry entry is all a new ability or powerup needs', () => {
+  Sim.ABILITY_TYPES.volley = { ...Sim.ABILITY_TYPES.burst, label: 'Volley', count: 3, cooldownMs: 1000 };
+  Sim.POWERUP_TYPES.aegis = { label: 'Aegis', color: '#fff', effect: 'shield', durationMs: 1000, stack: 'extend' };
+  try {
+    const room = makeRoom();
+    const p = Sim.createPlayer(room, 'p2', 'Vera');
+    room.players.p2 = p;
+    p.abilityQueue.push('volley');
+    Sim.step(room, DT);
+    assert.strictEqual(room.bullets.length, 3);
+    assert.ok(p.abilityCd.volley > room.time && p.abilityCd.volley <= room.time + 1000, 'cooldown comes from the entry');
+    Sim.applyPowerup(p, 'aegis', 0);
+    Sim.applyPowerup(p, 'aegis', 0);
+    assert.strictEqual(p.buffs.shieldUntil, 2000, 'extend stacks the duration');
+    Sim.applyPowerup(p, 'shield', 0);
+    assert.strictEqual(p.buffs.shieldUntil, 6000, 'refresh keeps the later end');
+  } finally {
+    delete Sim.ABILITY_TYPES.volley;
+    delete Sim.POWERUP_TYPES.aegis;
+  }
+});
+
+test('the run ends when every player is down', () => {
+  const room = makeRoom();
+  const p = room.players.p1;
+  p.iFramesUntil = 0;
+  assert.ok(Sim.damagePlayer(room, p, p.maxHp, room.time));
+  Sim.step(room, DT);
+  assert.ok(room.gameOverAt > 0);
+  assert.deepStrictEqual(room.events.map((e) => e.type), ['playerDown', 'gameOver']);
+  assert.deepStrictEqual(room.events[1].data.players[0].stats, { killsByType: {}, damageDealt: 0, abilitiesUsed: 0, powerupsCollected: 0 });
+});
+
+test('a player\'s color follows their nickname', () => {
+  const room = makeRoom();
+  const a = Sim.createPlayer(room, 'p2', 'Alice');
+  const b = Sim.createPlayer(room, 'p3', 'Alice');
+  assert.strictEqual(a.color, b.color);
+  assert.notStrictEqual(a.color, Sim.createPlayer(room, 'p4', 'Bob').color);
+});
+
+// A 1200x900 room with one wall: x 580..620, y 150..750
+function walledRoom(extra = {}) {
+  const room = makeRoom();
+  room.world = Sim.createWorld(Maps.parseMap({ width: 1200, height: 900, obstacles: [{ type: 'rect', x: 580, y: 150, w: 40, h: 600 }], ...extra }, 'test'));
+  return room;
+}
+
+test('walls stop players, bullets and grenades', () => {
+  const room = walledRoom();
+  const p = place(room, 'p1', 500, 450);
+  for (let i = 0; i < 60; i++) {
+    Sim.applyCommand(room, { k: 'input', id: 'p1', d: { seq: i + 1, dt: DT, right: true, angle: 0, shooting: true } });
+    Sim.step(room, DT);
+    assert.ok(room.bullets.every((b) => b.x < 580), 'no bullet got through');
+  }
+  assert.strictEqual(p.x, 580 - p.radius, 'pressed flat against the wall');
+
+  Sim.applyCommand(room, { k: 'ability', id: 'p1', d: 'grenade' });
+  for (let i = 0; i < 20; i++) { Sim.step(room, DT); if (room.bombs[0]) assert.ok(room.bombs[0].x < 580); }
+});
+
+test('a flood of inputs drops the oldest ones as a command, so replays drop the same', () => {
+  const room = makeRoom();
+  const p = room.players.p1;
+  for (let seq = 1; seq <= Sim.MAX_QUEUED_INPUTS + 5; seq++) Sim.applyCommand(room, { k: 'input', id: 'p1', d: { seq, dt: DT } });
+  assert.strictEqual(p.inputQueue.length, Sim.MAX_QUEUED_INPUTS);
+  assert.strictEqual(p.inputQueue[0].seq, 6);
+});
+
+test('a chaser walks around a wall to reach the player', () => {
+  const room = walledRoom();
+  const p = place(room, 'p1', 900, 450);
+  p.maxHp = p.hp = 1e6;
+  const m = addMonster(room, 'chaser', 300, 450);
+  let t = 0;
+  while (p.hp === p.maxHp && t++ < 60 * 30) { p.iFramesUntil = 0; Sim.step(room, DT); }
+  assert.ok(p.hp < p.maxHp, `still at ${Math.round(m.x)},${Math.round(m.y)} after 30 s`);
+});
+
+test('spawns land in their zones and clear of obstacles', () => {
+  const room = walledRoom({ spawns: { players: [{ x: 0, y: 0, w: 200, h: 200 }], monsters: [{ x: 1000, y: 0, w: 200, h: 900 }], powerups: [{ x: 560, y: 400, w: 80, h: 100 }] } });
+  Sim.resetRoom(room);
+  const p = room.players.p1;
+  assert.ok(p.x <= 200 && p.y <= 200);
+  for (let i = 0; i < 10; i++) {
+    const m = Sim.spawnMonster(room, 'chaser');
+    assert.ok(m.x >= 1000, 'monster outside its zone');
+    Sim.spawnPowerup(room);
+  }
+  for (const u of room.powerups) assert.ok(u.x <= 580 - u.r || u.x >= 620 + u.r || u.y <= 150 - u.r || u.y >= 750 + u.r, 'powerup inside the wall');
+});
+
+function twoPlayers() {
+  const room = makeRoom({ maxPlayers: 2 });
+  room.players.p2 = Sim.createPlayer(room, 'p2', 'Second');
+  Sim.resetRoom(room);
+  room.lastSpawnAt = room.lastPowerAt = room.lastNeutralAt = Infinity;
+  for (const p of Object.values(room.players)) p.maxHp = p.hp = 1e6;
+  return room;
+}
+
+test('monsters in the same spot spread apart', () => {
+  const room = makeRoom();
+  place(room, 'p1', 1000, 300);
+  const a = addMonster(room, 'chaser', 300, 300);
+  const b = addMonster(room, 'chaser', 300, 300);
+  for (let i = 0; i < 30; i++) Sim.step(room, DT);
+  assert.ok(Math.hypot(a.x - b.x, a.y - b.y) >= (a.radius + b.radius) * 0.9, 'still stacked');
+});
+
+test('dashers go for the straggler; orbiters share out the players', () => {
+  const room = twoPlayers();
+  place(room, 'p1', 300, 300);
+  place(room, 'p2', 1300, 700);
+  room.players.p3 = Object.assign(Sim.createPlayer(room, 'p3', 'Third'), { x: 400, y: 300 });
+  const dasher = addMonster(room, 'dasher', 800, 450);
+  const orbiters = [0, 1, 2, 3].map((i) => addMonster(room, 'orbiter', 320 + i * 10, 360));
+  Sim.step(room, DT);
+  assert.strictEqual(dasher.ai.target, 'p2', 'the lone player is the dasher\'s pick');
+  const counts = {};
+  for (const o of orbiters) counts[o.ai.target] = (counts[o.ai.target] || 0) + 1;
+  assert.ok(Object.keys(counts).length >= 2, `all orbiters on one player: ${JSON.stringify(counts)}`);
+});
+
+test('monster thinking is spread over ticks within a budget', () => {
+  const room = makeRoom();
+  place(room, 'p1', 1000, 600);
+  while (Sim.spawnMonster(room, 'chaser'));
+  const proto = room.monsters[0];
+  while (room.monsters.length < 100) room.monsters.push({ ...proto, id: Sim.nextId(room), ai: { ...proto.ai }, state: { ...proto.state } });
+  Sim.step(room, DT);
+  assert.strictEqual(room.monsters.filter((m) => m.ai.at === room.time).length, Sim.AI_THINKS_PER_TICK);
+  for (let i = 0; i < Math.ceil(100 / Sim.AI_THINKS_PER_TICK); i++) Sim.step(room, DT);
+  assert.ok(room.monsters.every((m) => m.ai.at > -Infinity), 'every monster got to think');
+});
+
+test('a crowded room thinks within its budget and routes toward at most one goal per player', (t) => {
+  const room = walledRoom();
+  for (const [id, y] of [['p2', 300], ['p3', 450], ['p4', 600]]) room.players[id] = Sim.createPlayer(room, id, id);
+  for (const [i, id] of Object.keys(room.players).entries()) Object.assign(place(room, id, 900, 250 + i * 130), { maxHp: 1e6, hp: 1e6 });
+  const proto = addMonster(room, 'chaser', 300, 450);
+  while (room.monsters.length < 400) {
+    const k = room.monsters.length;
+    room.monsters.push({ ...proto, id: Sim.nextId(room), x: 100 + (k % 20) * 20, y: 100 + Math.floor(k / 20) * 35, ai: { ...proto.ai }, state: { ...proto.state } });
+  }
+
+  // Paths are the costly part of a think: one flow field per goal cell
+  const nextStep = Navigation.nextStep;
+  let goals = new Set();
+  Navigation.nextStep = (world, x, y, tx, ty, steps) => { goals.add(`${Math.floor(tx / Navigation.NAV_CELL)},${Math.floor(ty / Navigation.NAV_CELL)}`); return nextStep(world, x, y, tx, ty, steps); };
+  t.after(() => { Navigation.nextStep = nextStep; });
+
+  let routed = 0;
+  for (let i = 0; i < 60; i++) {
+    goals = new Set();
+    Sim.step(room, DT);
+    assert.ok(room.monsters.filter((m) => m.ai.at === room.time).length <= Sim.AI_THINKS_PER_TICK);
+    assert.ok(goals.size <= Object.keys(room.players).length, `${goals.size} goals in one tick`);
+    routed += goals.size;
+  }
+  assert.ok(routed > 0, 'the wall made monsters look for a way round');
+});
+
+test('kills drop xp orbs that level a player up with a choice of upgrades', () => {
+  const room = makeRoom();
+  const p = place(room, 'p1', 300, 300);
+  for (let i = 0; i < 5; i++) Sim.damageMonster(room, addMonster(room, 'chaser', 600 + i * 40, 600), 100, p, 'shot');
+  assert.strictEqual(room.orbs.length, 5);
+  for (const o of room.orbs) { o.x = p.x; o.y = p.y; }
+  Sim.step(room, DT);
+  assert.strictEqual(room.orbs.length, 0);
+  assert.strictEqual(p.level, 2);
+  assert.strictEqual(room.events.filter((e) => e.type === 'levelUp').length, 1);
+  assert.strictEqual(new Set(p.offer).size, 3, 'three different upgrades on offer');
+
+  // Nothing pauses, and only what is on offer can be taken
+  const missing = Object.keys(Sim.UPGRADE_TYPES).find((k) => !p.offer.includes(k));
+  Sim.applyCommand(room, { k: 'upgrade', id: 'p1', d: missing });
+  Sim.step(room, DT);
+  assert.strictEqual(p.upgrades[missing], 0);
+  const pick = p.offer[0];
+  Sim.applyCommand(room, { k: 'upgrade', id: 'p1', d: pick });
+  Sim.step(room, DT);
+  assert.strictEqual(p.upgrades[pick], 1);
+  assert.deepStrictEqual(p.offer, []);
+
+  // Level-ups that pile up get an offer each, one after the other
+  Sim.gainXp(room, p, 100);
+  assert.ok(p.level > 4 && p.offer.length === 3);
+  const before = p.level;
+  Sim.applyCommand(room, { k: 'upgrade', id: 'p1', d: p.offer[1] });
+  Sim.step(room, DT);
+  assert.strictEqual(p.offer.length, 3, 'the next level-up is on offer');
+  assert.strictEqual(p.level, before);
+});
+
+test('upgrades feed into shots, abilities and grenades', () => {
+  const room = makeRoom();
+  const p = place(room, 'p1', 200, 300);
+  Object.assign(p.upgrades, { damage: 1, pierce: 1, cooldown: 2, blast: 2 });
+  p.maxHp = p.hp = 1e6;
+  const a = addMonster(room, 'chaser', 300, 300);
+  const b = addMonster(room, 'chaser', 360, 300);
+  const c = addMonster(room, 'chaser', 420, 300);
+  for (const m of [a, b, c]) { m.hp = m.maxHp = 10; m.baseSpeed = 0; }
+  p.lastShotAt = -Infinity; // fire straight away
+  Sim.applyCommand(room, { k: 'input', id: 'p1', d: { seq: 1, dt: DT, angle: 0, shooting: true } });
+  Sim.step(room, DT);
+  room.players.p1.shooting = false;
+  for (let i = 0; i < 30; i++) Sim.step(room, DT);
+  assert.deepStrictEqual([a.hp, b.hp, c.hp], [8, 8, 10], 'one shot for 2 went through one chaser into the next');
+
+  p.abilityQueue.push('grenade');
+  Sim.step(room, DT);
+  assert.strictEqual(room.bombs[0].radius, Sim.ABILITY_TYPES.grenade.radius * 1.5);
+  assert.strictEqual(p.abilityCd.grenade - room.time, Sim.ABILITY_TYPES.grenade.cooldownMs * 0.7);
+});
+
+test('ricochet bullets bounce off walls and the edge of the world', () => {
+  const room = walledRoom();
+  const p = room.players.p1;
+  p.upgrades.bounce = 1;
+  const shoot = (x, y, angle, seq) => {
+    p.lastShotAt = -Infinity; // fire straight away
+    place(room, 'p1', x, y);
+    Sim.applyCommand(room, { k: 'input', id: 'p1', d: { seq, dt: DT, angle, shooting: true } });
+    Sim.step(room, DT);
+    p.shooting = false;
+    return room.bullets[room.bullets.length - 1];
+  };
+  const atWall = shoot(520, 450, 0, 1);
+  const atEdge = shoot(300, 60, -Math.PI / 2, 2);
+  for (let i = 0; i < 10; i++) Sim.step(room, DT);
+  assert.ok(room.bullets.includes(atWall) && atWall.vx < 0 && atWall.bounces === 0, 'bounced back off the wall');
+  assert.ok(room.bullets.includes(atEdge) && atEdge.vy > 0 && atEdge.bounces === 0, 'bounced off the top edge');
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Spatial = require('../game/spatial');
+const Sim = require('../game/simulation');
+
+function gridOf(cellSize, items) {
+  const grid = Spatial.createGrid(cellSize);
+  Spatial.resetGrid(grid, 1000, 1000);
+  for (const it of items) Spatial.insert(grid, it, it.x, it.y, it.r);
+  return grid;
+}
+
+test('queries find what overlaps, once each, in insertion order', () => {
+  const big = { x: 100, y: 100, r: 60 }; // spans four cells
+  const small = { x: 20, y: 20, r: 5 };
+  const far = { x: 900, y: 900, r: 5 };
+  const outside = { x: -300, y: 50, r: 5 }; // off the world: kept in the edge cells
+  const grid = gridOf(96, [small, big, far, outside]);
+  assert.deepStrictEqual(Spatial.query(grid, 60, 60, 100), [small, big, outside]);
+  assert.deepStrictEqual(Spatial.query(grid, 150, 150, 2), [big]);
+  assert.deepStrictEqual(Spatial.query(grid, 500, 500, 10), []);
+  assert.deepStrictEqual(Spatial.query(grid, -280, 40, 4), [small, big, outside]);
+  Spatial.resetGrid(grid, 1000, 1000);
+  assert.deepStrictEqual(Spatial.query(grid, 100, 100, 50), []);
+});
+
+test('without partitioning every item comes back', () => {
+  const items = [{ x: 0, y: 0, r: 1 }, { x: 999, y: 999, r: 1 }];
+  assert.deepStrictEqual(Spatial.query(gridOf(Infinity, items), 500, 500, 1), items);
+});
+
+// A crowded fight with splitters, grenades and beams, hashed tick by tick
+function crowdedRun() {
+  const room = Sim.createRoomState({ maxPlayers: 2, difficulty: 'Hard', mode: 'endless' }, 3);
+  room.players.a = Sim.createPlayer(room, 'a', 'A');
+  room.players.b = Sim.createPlayer(room, 'b', 'B');
+  Sim.resetRoom(room);
+  Object.assign(room.players.a, { x: 1000, y: 800 });
+  Object.assign(room.players.b, { x: 1100, y: 900 });
+  const monsters = [];
+  for (let i = 0; i < 60; i++) {
+    monsters.push(Sim.spawnMonster(room, ['splitter', 'chaser', 'orbiter'][i % 3], { at: { x: 800 + (i % 10) * 45, y: 600 + Math.floor(i / 10) * 45 } }));
+    room.monsters.length = 0;
+  }
+  room.monsters = monsters;
+  const frames = [];
+  for (let t = 0; t < 240 && !room.gameOverAt; t++) {
+    for (const id of ['a', 'b']) {
+      Sim.applyCommand(room, { k: 'input', id, d: { seq: t + 1, dt: 1 / 60, shooting: true, angle: t / 20 + (id === 'b' ? 3 : 0) } });
+      if (t % 45 === 0) Sim.applyCommand(room, { k: 'ability', id, d: ['grenade', 'beam', 'burst'][(t / 45) % 3] });
+    }
+    Sim.step(room, 1 / 60);
+    frames.push(JSON.stringify([Sim.snapshot(room), room.events.splice(0)]));
+  }
+  return frames;
+}
+
+test('the grid changes nothing but speed', () => {
+  try {
+    Sim.setGridCellSize(Infinity);
+    const brute = crowdedRun();
+    Sim.setGridCellSize(Spatial.CELL_SIZE);
+    const grid = crowdedRun();
+    assert.ok(brute.some((f) => f.includes('"mini"')), 'splitters died and split');
+    assert.deepStrictEqual(grid, brute);
+  } finally {
+    Sim.setGridCellSize(Spatial.CELL_SIZE);
+  }
+});